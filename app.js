@@ -1,10 +1,17 @@
 // ==================== App State ====================
 const state = {
     photos: [],
-    selectedYear: null,
+    range: null, // see resolveTimelineRange in timeline.js
+    compareYears: null, // years overlaid in the comparison view, or null
+    timezone: null, // IANA zone photos are shown in, or null for each photo's own (see photo-dates.js)
+    eventGrouping: { ...DEFAULT_EVENT_GROUPING }, // see photo-events.js
+    mapTiles: null, // optional XYZ tile URL for the photo map (see photo-map.js)
+    tagFilter: { ...DEFAULT_TAG_FILTER }, // see photo-tags.js
     orientation: 'horizontal',
     isDrawingMode: false,
-    curvePoints: [],
+    curveLayers: createDefaultCurveLayers(), // see curve-layers.js
+    activeCurveLayerId: null, // the layer being edited; null for the first
+    view: 'upload',
 };
 
 // ==================== DOM Elements ====================
@@ -12,21 +19,61 @@ const elements = {
     uploadZone: document.getElementById('uploadZone'),
     uploadButton: document.getElementById('uploadButton'),
     fileInput: document.getElementById('fileInput'),
+    folderButton: document.getElementById('folderButton'),
+    folderInput: document.getElementById('folderInput'),
     photoGrid: document.getElementById('photoGrid'),
     gridItems: document.getElementById('gridItems'),
     photoCount: document.getElementById('photoCount'),
     clearButton: document.getElementById('clearButton'),
+    selectAllButton: document.getElementById('selectAllButton'),
+    selectUndatedButton: document.getElementById('selectUndatedButton'),
+    bulkBar: document.getElementById('bulkBar'),
+    selectedCount: document.getElementById('selectedCount'),
+    shiftAmountInput: document.getElementById('shiftAmountInput'),
+    shiftUnitSelect: document.getElementById('shiftUnitSelect'),
+    shiftDatesButton: document.getElementById('shiftDatesButton'),
+    bulkDateInput: document.getElementById('bulkDateInput'),
+    setDatesButton: document.getElementById('setDatesButton'),
+    inferDatesButton: document.getElementById('inferDatesButton'),
+    clearSelectionButton: document.getElementById('clearSelectionButton'),
     createTimelineButton: document.getElementById('createTimelineButton'),
     uploadSection: document.getElementById('uploadSection'),
     timelineSection: document.getElementById('timelineSection'),
     drawModeButton: document.getElementById('drawModeButton'),
     resetButton: document.getElementById('resetButton'),
     exportButton: document.getElementById('exportButton'),
+    exportHtmlButton: document.getElementById('exportHtmlButton'),
+    exportSvgButton: document.getElementById('exportSvgButton'),
+    exportPdfButton: document.getElementById('exportPdfButton'),
+    exportModal: document.getElementById('exportModal'),
+    exportModalBackdrop: document.getElementById('exportModalBackdrop'),
+    duplicateModal: document.getElementById('duplicateModal'),
+    duplicateModalBackdrop: document.getElementById('duplicateModalBackdrop'),
+    duplicateForm: document.getElementById('duplicateForm'),
+    duplicateCount: document.getElementById('duplicateCount'),
+    duplicateList: document.getElementById('duplicateList'),
+    duplicateCancelButton: document.getElementById('duplicateCancelButton'),
+    exportForm: document.getElementById('exportForm'),
+    exportRangeOption: document.getElementById('exportRangeOption'),
+    exportRangeDates: document.getElementById('exportRangeDates'),
+    exportRangeStartInput: document.getElementById('exportRangeStartInput'),
+    exportRangeEndInput: document.getElementById('exportRangeEndInput'),
+    exportCustomSize: document.getElementById('exportCustomSize'),
+    exportWidthInput: document.getElementById('exportWidthInput'),
+    exportDpiInput: document.getElementById('exportDpiInput'),
+    exportSizeSummary: document.getElementById('exportSizeSummary'),
+    exportCancelButton: document.getElementById('exportCancelButton'),
+    exportConfirmButton: document.getElementById('exportConfirmButton'),
     drawingStatus: document.getElementById('drawingStatus'),
     curveControlButtons: document.getElementById('curveControlButtons'),
     clearCurveButtonGroup: document.getElementById('clearCurveButtonGroup'),
     finishDrawingButton: document.getElementById('finishDrawingButton'),
     clearCurveButton: document.getElementById('clearCurveButton'),
+    autoCurveButton: document.getElementById('autoCurveButton'),
+    convertCurveButtonGroup: document.getElementById('convertCurveButtonGroup'),
+    convertCurveButton: document.getElementById('convertCurveButton'),
+    curveLayerList: document.getElementById('curveLayerList'),
+    addCurveLayerButton: document.getElementById('addCurveLayerButton'),
     backToPhotosButton: document.getElementById('backToPhotosButton'),
     zoomSlider: document.getElementById('zoomSlider'),
     zoomInBtn: document.getElementById('zoomInBtn'),
@@ -36,15 +83,59 @@ const elements = {
     modalImage: document.getElementById('modalImage'),
     modalDate: document.getElementById('modalDate'),
     modalDetails: document.getElementById('modalDetails'),
+    modalCarousel: document.getElementById('modalCarousel'),
+    modalPrevButton: document.getElementById('modalPrevButton'),
+    modalNextButton: document.getElementById('modalNextButton'),
+    modalThumbs: document.getElementById('modalThumbs'),
+    modalCarouselCount: document.getElementById('modalCarouselCount'),
     modalBackdrop: document.getElementById('modalBackdrop'),
     uploadProgress: document.getElementById('uploadProgress'),
     uploadCount: document.getElementById('uploadCount'),
+    uploadProgressFill: document.getElementById('uploadProgressFill'),
+    uploadCurrentFile: document.getElementById('uploadCurrentFile'),
+    cancelUploadButton: document.getElementById('cancelUploadButton'),
+    uploadSummary: document.getElementById('uploadSummary'),
+    uploadSummaryText: document.getElementById('uploadSummaryText'),
+    uploadFailureList: document.getElementById('uploadFailureList'),
+    closeUploadSummaryButton: document.getElementById('closeUploadSummaryButton'),
     modalLabelInput: document.getElementById('modalLabelInput'),
+    modalCaptionInput: document.getElementById('modalCaptionInput'),
+    modalTagInputs: document.querySelectorAll('.modal-tags-input'),
+    modalNotesInput: document.getElementById('modalNotesInput'),
     saveLabelButton: document.getElementById('saveLabelButton'),
+    openProjectButton: document.getElementById('openProjectButton'),
+    timelineOpenProjectButton: document.getElementById('timelineOpenProjectButton'),
+    saveProjectButton: document.getElementById('saveProjectButton'),
+    projectFileInput: document.getElementById('projectFileInput'),
+    rangeModeSelect: document.getElementById('rangeModeSelect'),
+    rangeYearSelect: document.getElementById('rangeYearSelect'),
+    rangeDates: document.getElementById('rangeDates'),
+    rangeStartInput: document.getElementById('rangeStartInput'),
+    rangeEndInput: document.getElementById('rangeEndInput'),
+    timezoneSelect: document.getElementById('timezoneSelect'),
+    groupingSelect: document.getElementById('groupingSelect'),
+    groupByLocationInput: document.getElementById('groupByLocationInput'),
+    compareButton: document.getElementById('compareButton'),
+    photoSearchInput: document.getElementById('photoSearchInput'),
+    searchResults: document.getElementById('searchResults'),
+    tagFilterBar: document.getElementById('tagFilterBar'),
+    tagFilterChips: document.getElementById('tagFilterChips'),
+    tagFilterModeSelect: document.getElementById('tagFilterModeSelect'),
+    tagFilterCurveInput: document.getElementById('tagFilterCurveInput'),
+    clearTagFilterButton: document.getElementById('clearTagFilterButton'),
+    mapPanel: document.getElementById('mapPanel'),
+    mapPhotoCount: document.getElementById('mapPhotoCount'),
+    mapTilesInput: document.getElementById('mapTilesInput'),
+    toggleMapButton: document.getElementById('toggleMapButton'),
+    mapCanvas: document.getElementById('mapCanvas'),
+    mapHint: document.getElementById('mapHint'),
+    compareYearsGroup: document.getElementById('compareYearsGroup'),
+    compareYearList: document.getElementById('compareYearList'),
 };
 
-// Track current photo being viewed in modal
+// Track current photo being viewed in modal, and the event it was opened from
 let currentModalPhotoId = null;
+let modalEventPhotoIds = [];
 
 // ==================== File Upload Handlers ====================
 elements.uploadZone.addEventListener('click', () => {
@@ -56,7 +147,13 @@ elements.uploadButton.addEventListener('click', (e) => {
     elements.fileInput.click();
 });
 
+elements.folderButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    elements.folderInput.click();
+});
+
 elements.fileInput.addEventListener('change', handleFileSelect);
+elements.folderInput.addEventListener('change', handleFileSelect);
 
 // Drag and Drop
 elements.uploadZone.addEventListener('dragover', (e) => {
@@ -68,181 +165,372 @@ elements.uploadZone.addEventListener('dragleave', () => {
     elements.uploadZone.classList.remove('drag-over');
 });
 
-elements.uploadZone.addEventListener('drop', (e) => {
+elements.uploadZone.addEventListener('drop', async (e) => {
     e.preventDefault();
     elements.uploadZone.classList.remove('drag-over');
-    const files = Array.from(e.dataTransfer.files).filter(file =>
-        file.type.startsWith('image/')
-    );
-    processFiles(files);
+
+    const projectFile = Array.from(e.dataTransfer.files).find(isProjectFile);
+    if (projectFile) {
+        openProjectFile(projectFile);
+        return;
+    }
+
+    // Dropped folders are read recursively. When that fails (a folder that
+    // can't be read or was removed meanwhile), the files the drop lists
+    // directly are still imported. They have to be taken before the first await.
+    const droppedFiles = Array.from(e.dataTransfer.files);
+    const readFailures = [];
+    let files;
+    try {
+        files = await getDroppedFiles(e.dataTransfer);
+    } catch (error) {
+        console.error('Could not read dropped folder:', error);
+        readFailures.push({ name: '끌어다 놓은 폴더', reason: error.message || '폴더를 읽을 수 없습니다' });
+        files = droppedFiles;
+    }
+
+    const images = files.filter(isImageFile);
+    if (images.length === 0 && readFailures.length > 0) {
+        showUploadSummary(0, readFailures, 0);
+        return;
+    }
+    processFiles(images, readFailures);
 });
 
 // ==================== File Processing ====================
 async function handleFileSelect(e) {
-    const files = Array.from(e.target.files);
+    // A chosen folder brings every file in it; keep the photos
+    const files = Array.from(e.target.files).filter(isImageFile);
+    // Cleared so choosing the same files again still fires `change`
+    e.target.value = '';
     await processFiles(files);
 }
 
-async function processFiles(files) {
-    if (files.length === 0) return;
+// The running import's AbortController, or null
+let currentImport = null;
+
+// readFailures: files that couldn't even be read, listed with the import's failures
+async function processFiles(files, readFailures = []) {
+    if (files.length === 0 || currentImport) return;
+
+    const controller = new AbortController();
+    currentImport = controller;
 
     // Show progress indicator
+    elements.uploadSummary.style.display = 'none';
     elements.uploadProgress.style.display = 'flex';
+    elements.cancelUploadButton.disabled = false;
     elements.uploadZone.style.pointerEvents = 'none';
     elements.uploadZone.style.opacity = '0.6';
 
     const total = files.length;
     let processed = 0;
+    const failures = [...readFailures];
+    updateUploadProgress(processed, total);
+
+    // Whatever goes wrong after the files are read, the import has to end, or
+    // the upload zone stays blocked and no later import can start
+    let imported = [];
+    let added = [];
+    let replacements = [];
+    let importError = null;
+    try {
+        const results = await runImportTasks(files, IMPORT_CONCURRENCY, extractPhotoData, {
+            signal: controller.signal,
+            onSettled: (file, error) => {
+                processed++;
+                if (error) {
+                    console.error('Error processing file:', file.name, error);
+                    failures.push({ name: file.name, reason: error.message });
+                }
+                updateUploadProgress(processed, total, file.name);
+            },
+            // Finished after the cancel: not added, so nothing may keep its images
+            onDiscarded: photo => releasePhotoImages([photo]),
+        });
+
+        // Photos already in the project (or twice in this import) are reviewed first
+        imported = results.filter(Boolean);
+        added = imported;
+        const duplicates = imported.length > 0 ? await findDuplicatePhotos(imported, state.photos) : [];
+        if (duplicates.length > 0) {
+            const decisions = await reviewDuplicates(duplicates);
+            ({ add: added, replacements } = resolveDuplicates(imported, duplicates, decisions));
+            releasePhotoImages(imported.filter(photo =>
+                !added.includes(photo) && !replacements.some(({ after }) => after === photo)
+            ));
+        }
+    } catch (error) {
+        console.error('Import failed:', error);
+        importError = error;
+        releasePhotoImages(imported);
+        added = [];
+        replacements = [];
+    } finally {
+        currentImport = null;
+
+        // Hide progress indicator
+        setTimeout(() => {
+            elements.uploadProgress.style.display = 'none';
+            elements.uploadZone.style.pointerEvents = 'auto';
+            elements.uploadZone.style.opacity = '1';
+        }, 500);
+    }
+
+    // Add all photos as one undoable step, in the order they were chosen, then update the grid once
+    if (replacements.length > 0) {
+        executeCommand(createBatchCommand('사진 추가', [
+            createAddPhotosCommand(added),
+            createReplacePhotosCommand(replacements),
+        ]));
+    } else if (added.length > 0) {
+        executeCommand(createAddPhotosCommand(added));
+    } else {
+        updatePhotoGrid();
+    }
+
+    showUploadSummary(added.length + replacements.length, failures,
+        controller.signal.aborted ? total - processed : 0, importError);
+}
 
+function updateUploadProgress(processed, total, lastName = '') {
     elements.uploadCount.textContent = `${processed}/${total}`;
+    elements.uploadProgressFill.style.width = `${total > 0 ? (processed / total) * 100 : 0}%`;
+    elements.uploadCurrentFile.textContent = lastName;
+}
 
-    // Process all files in parallel for much better performance
-    const promises = Array.from(files).map(async (file) => {
-        try {
-            const photoData = await extractPhotoData(file);
-            state.photos.push(photoData);
+// Only shown when something went wrong or the import was cancelled.
+// `error` is a failure of the import as a whole, which adds nothing.
+function showUploadSummary(addedCount, failures, skippedCount, error = null) {
+    if (failures.length === 0 && skippedCount === 0 && !error) return;
 
-            // Update progress
-            processed++;
-            elements.uploadCount.textContent = `${processed}/${total}`;
+    const parts = [`사진 ${addedCount}장을 추가했습니다.`];
+    if (error) {
+        parts.push(`가져오는 중 오류가 발생했습니다 (${error.message}).`);
+    }
+    if (skippedCount > 0) {
+        parts.push(`취소하여 ${skippedCount}장은 가져오지 않았습니다.`);
+    }
+    if (failures.length > 0) {
+        parts.push(`${failures.length}장은 가져오지 못했습니다:`);
+    }
+    elements.uploadSummaryText.textContent = parts.join(' ');
+    elements.uploadFailureList.innerHTML = failures
+        .map(failure => `<li><strong>${escapeHTML(failure.name)}</strong> — ${escapeHTML(failure.reason)}</li>`)
+        .join('');
+    elements.uploadSummary.style.display = 'block';
+}
 
-            return photoData;
-        } catch (error) {
-            console.error('Error processing file:', file.name, error);
-            processed++;
-            elements.uploadCount.textContent = `${processed}/${total}`;
-            return null;
-        }
+elements.cancelUploadButton.addEventListener('click', () => {
+    if (!currentImport) return;
+    elements.cancelUploadButton.disabled = true;
+    currentImport.abort();
+});
+
+elements.closeUploadSummaryButton.addEventListener('click', () => {
+    elements.uploadSummary.style.display = 'none';
+});
+
+// ==================== Duplicate Review ====================
+const DUPLICATE_DECISIONS = [
+    { value: 'skip', label: '건너뛰기' },
+    { value: 'keep', label: '둘 다 유지' },
+    { value: 'replace', label: '교체' },
+];
+
+// Resolves with one decision per duplicate ('skip' | 'keep' | 'replace').
+// Identical files start as skipped, merely similar pictures (bursts, edits) as kept.
+// Closing the dialog skips them all.
+let resolveDuplicateReview = null;
+
+function reviewDuplicates(duplicates) {
+    elements.duplicateCount.textContent = `${duplicates.length}장`;
+    elements.duplicateList.innerHTML = duplicates.map((duplicate, index) => {
+        const describe = photo => `
+            <figure>
+                <img src="${getThumbnailUrl(photo)}" alt="">
+                <figcaption>
+                    <strong>${escapeHTML(photo.name)}</strong>
+                    <span>${formatDate(getPhotoDisplayDate(photo))} ${formatTime(getPhotoDisplayDate(photo))}</span>
+                </figcaption>
+            </figure>`;
+        const selected = duplicate.exact ? 'skip' : 'keep';
+
+        return `
+            <li class="duplicate-item">
+                ${describe(duplicate.photo)}
+                <span class="duplicate-kind">${duplicate.exact ? '같은 파일' : '비슷한 사진'}</span>
+                ${describe(duplicate.existing)}
+                <select class="control-select" name="duplicate${index}" aria-label="처리 방법">
+                    ${DUPLICATE_DECISIONS.map(({ value, label }) =>
+                        `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`
+                    ).join('')}
+                </select>
+            </li>`;
+    }).join('');
+
+    elements.duplicateModal.classList.add('active');
+    return new Promise(resolve => {
+        resolveDuplicateReview = resolve;
     });
+}
 
-    // Wait for all files to be processed
-    await Promise.all(promises);
+function finishDuplicateReview(decisions) {
+    if (!resolveDuplicateReview) return;
 
-    // Update grid once after all files are done
-    updatePhotoGrid();
+    elements.duplicateModal.classList.remove('active');
+    elements.duplicateList.innerHTML = '';
+    const resolve = resolveDuplicateReview;
+    resolveDuplicateReview = null;
+    resolve(decisions);
+}
 
-    // Hide progress indicator
-    setTimeout(() => {
-        elements.uploadProgress.style.display = 'none';
-        elements.uploadZone.style.pointerEvents = 'auto';
-        elements.uploadZone.style.opacity = '1';
-    }, 500);
+function skipAllDuplicates() {
+    const count = elements.duplicateList.querySelectorAll('select').length;
+    finishDuplicateReview(new Array(count).fill('skip'));
 }
 
-async function extractPhotoData(file) {
+elements.duplicateForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    finishDuplicateReview(Array.from(elements.duplicateList.querySelectorAll('select'), select => select.value));
+});
+
+elements.duplicateForm.querySelectorAll('[data-decision]').forEach(button => {
+    button.addEventListener('click', () => {
+        elements.duplicateList.querySelectorAll('select').forEach(select => {
+            select.value = button.dataset.decision;
+        });
+    });
+});
+
+elements.duplicateModalBackdrop.addEventListener('click', skipAllDuplicates);
+elements.duplicateCancelButton.addEventListener('click', skipAllDuplicates);
+
+// Read one file into a photo. Errors carry a message for the import summary.
+async function extractPhotoData(file, signal) {
+    throwIfAborted(signal);
+
+    // Hash the file as chosen, so importing it again is recognised even after HEIC conversion
+    const contentHash = await hashFile(file);
+    throwIfAborted(signal);
+
     // Extract EXIF from original file BEFORE conversion to preserve metadata
-    let exifData = null;
-    let captureDate = null;
+    const exifData = await readExif(file);
+    throwIfAborted(signal);
 
-    try {
-        exifData = await exifr.parse(file);
-        // Try to get the best date available from EXIF
-        captureDate = exifData?.DateTimeOriginal ||
-            exifData?.DateTime ||
-            exifData?.CreateDate ||
-            null;
-    } catch (exifError) {
-        console.warn('No EXIF data found for:', file.name);
+    // Try to get the best date available from EXIF, with the UTC offset recorded for it
+    let captureDate = null;
+    let captureOffset = null;
+    if (exifData?.DateTimeOriginal) {
+        captureDate = exifData.DateTimeOriginal;
+        captureOffset = parseExifOffset(exifData.OffsetTimeOriginal);
+    } else if (exifData?.DateTime) {
+        captureDate = exifData.DateTime;
+        captureOffset = parseExifOffset(exifData.OffsetTime);
+    } else if (exifData?.CreateDate) {
+        captureDate = exifData.CreateDate;
+        captureOffset = parseExifOffset(exifData.OffsetTimeDigitized);
     }
 
     // Check if file is HEIC and convert if necessary
-    let processedFile = file;
+    let processedFile = withImageType(file);
+    let heicError = null;
 
-    if (file.name.toLowerCase().endsWith('.heic') || file.type === 'image/heic') {
+    if (isHeicFile(file)) {
         try {
-            console.log('Converting HEIC file:', file.name);
-            const convertedBlob = await heic2any({
-                blob: file,
-                toType: 'image/jpeg',
-                quality: 0.9
-            });
-
-            // Create a new File object from the blob
-            processedFile = new File(
-                [convertedBlob],
-                file.name.replace(/\.heic$/i, '.jpg'),
-                { type: 'image/jpeg' }
-            );
-            console.log('HEIC conversion successful, using original EXIF date');
+            processedFile = await convertHeic(file, signal);
         } catch (error) {
-            console.warn('HEIC conversion failed, using original file:', error);
-            // Continue with original file if conversion fails
+            // Continue with the original: browsers that decode HEIC themselves can still use it
+            console.warn('HEIC conversion failed, using original file:', file.name, error);
+            heicError = error;
         }
+        throwIfAborted(signal);
     }
 
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-
-        reader.onload = async (e) => {
-            try {
-                const imageUrl = e.target.result;
-
-                // Use EXIF data extracted from original file
-                // Fallback to file lastModified if no EXIF date found
-                if (!captureDate) {
-                    captureDate = new Date(file.lastModified);
-                }
-
-                // Ensure captureDate is a Date object
-                if (!(captureDate instanceof Date)) {
-                    captureDate = new Date(captureDate);
-                }
+    // Downscaled copy for the grid and the timeline; the original stays a Blob
+    let thumbnail;
+    try {
+        thumbnail = await createThumbnail(processedFile, signal);
+    } catch (error) {
+        throwIfAborted(signal);
+        throw new Error(heicError ? 'HEIC 사진을 변환하지 못했습니다' : '이미지를 읽을 수 없습니다');
+    }
+    throwIfAborted(signal);
+    const perceptualHash = await computePerceptualHash(thumbnail);
+    throwIfAborted(signal);
+
+    // Use EXIF data extracted from original file
+    // Fallback to file lastModified if no EXIF date found
+    if (!captureDate) {
+        captureDate = new Date(file.lastModified);
+        captureOffset = -captureDate.getTimezoneOffset();
+    }
 
-                // Mark if date is valid or fallback
-                const hasValidDate = exifData && (exifData.DateTimeOriginal || exifData.DateTime || exifData.CreateDate);
-
-                resolve({
-                    id: Date.now() + Math.random(),
-                    file: processedFile,
-                    imageUrl,
-                    captureDate,
-                    exifData,
-                    name: file.name,
-                    hasValidDate,
-                });
-            } catch (error) {
-                reject(error);
-            }
-        };
+    // Ensure captureDate is a Date object
+    if (!(captureDate instanceof Date)) {
+        captureDate = new Date(captureDate);
+    }
 
-        reader.onerror = reject;
-        reader.readAsDataURL(processedFile);
-    });
+    // Mark if date is valid or fallback
+    const hasValidDate = exifData && (exifData.DateTimeOriginal || exifData.DateTime || exifData.CreateDate);
+
+    return {
+        id: Date.now() + Math.random(),
+        file: processedFile,
+        thumbnail,
+        captureDate,
+        captureOffset,
+        exifData,
+        name: file.name,
+        hasValidDate,
+        contentHash,
+        perceptualHash,
+    };
 }
 
 // ==================== Photo Grid Display ====================
 function updatePhotoGrid() {
     if (state.photos.length === 0) {
         elements.photoGrid.style.display = 'none';
+        setPhotoSelection([]);
         return;
     }
 
     elements.photoGrid.style.display = 'block';
     elements.photoCount.textContent = state.photos.length;
 
-    // Sort photos by date
-    const sortedPhotos = [...state.photos].sort((a, b) =>
-        a.captureDate - b.captureDate
-    );
-
-    elements.gridItems.innerHTML = sortedPhotos.map(photo => `
+    elements.gridItems.innerHTML = getPhotosByDate().map(photo => `
         <div class="photo-item" data-photo-id="${photo.id}">
-            <img src="${photo.imageUrl}" alt="${photo.name}">
+            <img src="${getThumbnailUrl(photo)}" alt="${photo.name}">
+            <input type="checkbox" class="select-photo" data-photo-id="${photo.id}" title="선택">
             <div class="photo-date" data-photo-id="${photo.id}">
-                <span class="date-display">${formatDate(photo.captureDate)}</span>
+                <span class="date-display">${formatDate(getPhotoDisplayDate(photo))}</span>
+                <span class="time-display">${formatTime(getPhotoDisplayDate(photo))}</span>
             </div>
-            <input type="date" class="date-input" data-photo-id="${photo.id}"
-                   value="${formatDateForInput(photo.captureDate)}" style="display: none;">
+            <input type="datetime-local" class="date-input" data-photo-id="${photo.id}"
+                   value="${formatDateTimeForInput(getPhotoDisplayDate(photo))}" style="display: none;">
             <button class="edit-date-btn" data-photo-id="${photo.id}" title="날짜 편집">✏️</button>
             <button class="remove-photo" data-photo-id="${photo.id}">×</button>
         </div>
     `).join('');
 
-    // Add click handlers for photo viewing
+    // Add click handlers for photo viewing; while selecting, clicks select instead
     document.querySelectorAll('.photo-item img').forEach(img => {
         img.addEventListener('click', (e) => {
             const photoId = parseFloat(e.target.closest('.photo-item').dataset.photoId);
-            showPhotoModal(photoId);
+            if (selectedPhotoIds.size > 0 || e.shiftKey || e.ctrlKey || e.metaKey) {
+                togglePhotoSelection(photoId, e.shiftKey);
+            } else {
+                showPhotoModal(photoId);
+            }
+        });
+    });
+
+    // Add click handlers for selection checkboxes (Shift selects a run)
+    document.querySelectorAll('.select-photo').forEach(checkbox => {
+        checkbox.addEventListener('click', (e) => {
+            e.stopPropagation();
+            togglePhotoSelection(parseFloat(checkbox.dataset.photoId), e.shiftKey);
         });
     });
 
@@ -272,7 +560,9 @@ function updatePhotoGrid() {
     document.querySelectorAll('.date-input').forEach(input => {
         input.addEventListener('input', (e) => {
             const photoId = parseFloat(input.dataset.photoId);
-            const newDate = new Date(e.target.value);
+            if (!e.target.value) return;
+
+            const newDate = parseInputDateTime(e.target.value);
             if (!isNaN(newDate.getTime())) {
                 updatePhotoDate(photoId, newDate);
             }
@@ -297,6 +587,12 @@ function updatePhotoGrid() {
             removePhoto(photoId);
         });
     });
+
+    updateSelectionControls();
+}
+
+function getPhotosByDate() {
+    return [...state.photos].sort((a, b) => getPhotoTime(a) - getPhotoTime(b));
 }
 
 function editPhotoDate(photoId) {
@@ -336,12 +632,13 @@ document.addEventListener('click', (e) => {
     });
 });
 
+// newDate is the time as shown, in the project time zone
 function updatePhotoDate(photoId, newDate) {
     const photo = state.photos.find(p => p.id === photoId);
     if (!photo) return;
 
-    photo.captureDate = newDate;
-    updatePhotoGrid();
+    // Typing in the date input collapses into a single undo step per photo
+    changeProperties('날짜 변경', photo, getCaptureDateForDisplay(photo, newDate), `date:${photoId}`);
 }
 
 function formatDateForInput(date) {
@@ -351,9 +648,15 @@ function formatDateForInput(date) {
     return `${year}-${month}-${day}`;
 }
 
+function formatDateTimeForInput(date) {
+    return `${formatDateForInput(date)}T${formatTime(date)}`;
+}
+
 function removePhoto(photoId) {
-    state.photos = state.photos.filter(p => p.id !== photoId);
-    updatePhotoGrid();
+    const photo = state.photos.find(p => p.id === photoId);
+    if (!photo) return;
+
+    executeCommand(createRemovePhotosCommand('사진 삭제', [photo]));
 }
 
 function formatDate(date) {
@@ -363,11 +666,147 @@ function formatDate(date) {
     return `${year}.${month}.${day}`;
 }
 
+function formatTime(date) {
+    const hours = String(date.getHours()).padStart(2, '0');
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    return `${hours}:${minutes}`;
+}
+
+// ==================== Photo Selection ====================
+// Photos selected in the grid for bulk date changes; not saved or undoable
+const selectedPhotoIds = new Set();
+let selectionAnchorId = null;
+
+function getSelectedPhotos() {
+    return state.photos.filter(photo => selectedPhotoIds.has(photo.id));
+}
+
+// Toggle one photo, or with extendRange select every photo (in grid order)
+// between the last toggled photo and this one
+function togglePhotoSelection(photoId, extendRange = false) {
+    if (extendRange && selectionAnchorId !== null) {
+        const sorted = getPhotosByDate();
+        const from = sorted.findIndex(photo => photo.id === selectionAnchorId);
+        const to = sorted.findIndex(photo => photo.id === photoId);
+
+        if (from !== -1 && to !== -1) {
+            sorted
+                .slice(Math.min(from, to), Math.max(from, to) + 1)
+                .forEach(photo => selectedPhotoIds.add(photo.id));
+            updateSelectionControls();
+            return;
+        }
+    }
+
+    if (selectedPhotoIds.has(photoId)) {
+        selectedPhotoIds.delete(photoId);
+    } else {
+        selectedPhotoIds.add(photoId);
+    }
+    selectionAnchorId = photoId;
+    updateSelectionControls();
+}
+
+function setPhotoSelection(photos) {
+    selectedPhotoIds.clear();
+    photos.forEach(photo => selectedPhotoIds.add(photo.id));
+    selectionAnchorId = null;
+    updateSelectionControls();
+}
+
+function updateSelectionControls() {
+    // Forget photos that were removed (or whose adding was undone)
+    const ids = new Set(state.photos.map(photo => photo.id));
+    selectedPhotoIds.forEach(id => {
+        if (!ids.has(id)) selectedPhotoIds.delete(id);
+    });
+
+    elements.gridItems.querySelectorAll('.photo-item').forEach(item => {
+        const isSelected = selectedPhotoIds.has(parseFloat(item.dataset.photoId));
+        item.classList.toggle('selected', isSelected);
+        item.querySelector('.select-photo').checked = isSelected;
+    });
+
+    elements.gridItems.classList.toggle('selecting', selectedPhotoIds.size > 0);
+    elements.bulkBar.style.display = selectedPhotoIds.size > 0 ? 'flex' : 'none';
+    elements.selectedCount.textContent = selectedPhotoIds.size;
+}
+
+elements.selectAllButton.addEventListener('click', () => {
+    setPhotoSelection(state.photos);
+});
+
+// Photos without an EXIF date were placed on the file's modification date
+elements.selectUndatedButton.addEventListener('click', () => {
+    const undated = state.photos.filter(photo => !photo.hasValidDate);
+    if (undated.length === 0) {
+        alert('촬영 날짜가 없는 사진이 없습니다.');
+        return;
+    }
+    setPhotoSelection(undated);
+});
+
+elements.clearSelectionButton.addEventListener('click', () => {
+    setPhotoSelection([]);
+});
+
+// ==================== Bulk Date Changes ====================
+// Each action changes all selected photos as one undo step
+elements.shiftDatesButton.addEventListener('click', () => {
+    const amount = parseInt(elements.shiftAmountInput.value, 10);
+    if (!amount) {
+        alert('이동할 값을 입력해주세요.');
+        return;
+    }
+
+    const unit = elements.shiftUnitSelect.value;
+    changePropertiesBatch('날짜 일괄 이동', getSelectedPhotos().map(photo => ({
+        target: photo,
+        after: { captureDate: shiftDate(photo.captureDate, amount, unit) },
+    })));
+});
+
+// A date chosen by hand counts as a real capture date
+elements.setDatesButton.addEventListener('click', () => {
+    const day = elements.bulkDateInput.value;
+    if (!day) {
+        alert('지정할 날짜를 선택해주세요.');
+        return;
+    }
+
+    changePropertiesBatch('날짜 일괄 지정', getSelectedPhotos().map(photo => ({
+        target: photo,
+        after: {
+            ...getCaptureDateForDisplay(photo, withCalendarDay(getPhotoDisplayDate(photo), day)),
+            hasValidDate: true,
+        },
+    })));
+});
+
+elements.inferDatesButton.addEventListener('click', () => {
+    const selected = getSelectedPhotos();
+    const changes = selected
+        .map(photo => ({ photo, date: parseDateFromFilename(photo.name) }))
+        .filter(({ date }) => date)
+        .map(({ photo, date }) => ({ target: photo, after: { captureDate: date, hasValidDate: true } }));
+
+    if (changes.length === 0) {
+        alert('선택한 사진의 파일명에서 날짜를 찾지 못했습니다.');
+        return;
+    }
+
+    changePropertiesBatch('파일명에서 날짜 찾기', changes);
+
+    const missed = selected.length - changes.length;
+    if (missed > 0) {
+        alert(`${changes.length}장의 날짜를 파일명에서 찾았습니다. ${missed}장은 파일명에 날짜가 없습니다.`);
+    }
+});
+
 // ==================== Clear Button ====================
 elements.clearButton.addEventListener('click', () => {
     if (confirm('모든 사진을 삭제하시겠습니까?')) {
-        state.photos = [];
-        updatePhotoGrid();
+        executeCommand(createRemovePhotosCommand('전체 삭제', [...state.photos]));
     }
 });
 
@@ -378,28 +817,52 @@ elements.createTimelineButton.addEventListener('click', () => {
         return;
     }
 
-    // Find the year with most photos
+    // Start on the year with most photos; photos outside the range are kept
+    if (!state.range) {
+        state.range = { mode: 'year', year: getMostCommonYear() };
+    }
+
+    showTimelineView();
+    scheduleAutosave();
+});
+
+function getPhotoYearCounts() {
     const yearCounts = {};
     state.photos.forEach(photo => {
-        const year = photo.captureDate.getFullYear();
+        const year = getPhotoDisplayDate(photo).getFullYear();
         yearCounts[year] = (yearCounts[year] || 0) + 1;
     });
+    return yearCounts;
+}
 
-    const mostCommonYear = Object.keys(yearCounts).reduce((a, b) =>
-        yearCounts[a] > yearCounts[b] ? a : b
-    );
+function getMostCommonYear() {
+    const yearCounts = getPhotoYearCounts();
+    const years = Object.keys(yearCounts);
+    if (years.length === 0) return new Date().getFullYear();
 
-    state.selectedYear = parseInt(mostCommonYear);
+    return parseInt(years.reduce((a, b) => yearCounts[a] > yearCounts[b] ? a : b));
+}
 
-    // Filter photos for selected year
-    state.photos = state.photos.filter(p =>
-        p.captureDate.getFullYear() === state.selectedYear
-    );
+function showTimelineView() {
+    state.view = 'timeline';
 
     // Switch to timeline view
     elements.uploadSection.style.display = 'none';
     elements.timelineSection.style.display = 'block';
 
+    // Sync orientation toggle and curve mode with state
+    document.querySelectorAll('[data-orientation]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.orientation === state.orientation);
+    });
+    updateCurveModeControls();
+    updateCurveLayerControls();
+    updateRangeControls();
+    updateTimezoneControls();
+    updateGroupingControls();
+    updateCompareControls();
+    updateMapControls();
+    updateTagFilterControls();
+
     // Reset zoom to 100%
     if (elements.zoomSlider) {
         elements.zoomSlider.value = 100;
@@ -408,7 +871,7 @@ elements.createTimelineButton.addEventListener('click', () => {
 
     // Initialize timeline
     initializeTimeline();
-});
+}
 
 // ==================== Orientation Toggle ====================
 document.querySelectorAll('[data-orientation]').forEach(btn => {
@@ -419,14 +882,399 @@ document.querySelectorAll('[data-orientation]').forEach(btn => {
         e.currentTarget.classList.add('active');
         state.orientation = e.currentTarget.dataset.orientation;
         renderTimeline();
+        scheduleAutosave();
+    });
+});
+
+// ==================== Timeline Range ====================
+function setRange(range) {
+    state.range = range;
+    updateRangeControls();
+    renderTimeline();
+    scheduleAutosave();
+}
+
+function updateRangeControls() {
+    if (!state.range) return;
+
+    const { mode } = state.range;
+    elements.rangeModeSelect.value = mode;
+    elements.rangeYearSelect.style.display = mode === 'year' ? '' : 'none';
+    elements.rangeDates.style.display = mode === 'custom' ? 'flex' : 'none';
+
+    // Years with photos, plus the selected year even if it has none left
+    const yearCounts = getPhotoYearCounts();
+    const years = new Set(Object.keys(yearCounts).map(Number));
+    if (mode === 'year') years.add(state.range.year);
+
+    elements.rangeYearSelect.innerHTML = [...years].sort((a, b) => a - b).map(year => `
+        <option value="${year}">${year}년 (${yearCounts[year] || 0}장)</option>
+    `).join('');
+    if (mode === 'year') {
+        elements.rangeYearSelect.value = state.range.year;
+    }
+
+    const { start, end } = resolveTimelineRange();
+    elements.rangeStartInput.value = formatDateForInput(new Date(start));
+    elements.rangeEndInput.value = formatDateForInput(new Date(end - 1));
+}
+
+elements.rangeModeSelect.addEventListener('change', (e) => {
+    const mode = e.target.value;
+
+    if (mode === 'year') {
+        setRange({ mode, year: getMostCommonYear() });
+    } else if (mode === 'custom') {
+        // Start from whatever the timeline currently shows
+        setRange({ mode, start: elements.rangeStartInput.value, end: elements.rangeEndInput.value });
+    } else {
+        setRange({ mode });
+    }
+});
+
+elements.rangeYearSelect.addEventListener('change', (e) => {
+    setRange({ mode: 'year', year: parseInt(e.target.value) });
+});
+
+[elements.rangeStartInput, elements.rangeEndInput].forEach(input => {
+    input.addEventListener('change', () => {
+        const start = elements.rangeStartInput.value;
+        const end = elements.rangeEndInput.value;
+
+        if (!start || !end || start > end) {
+            // Put the inputs back to the current range
+            updateRangeControls();
+            return;
+        }
+        setRange({ mode: 'custom', start, end });
+    });
+});
+
+// ==================== Project Time Zone ====================
+// Like the range, a view setting: re-renders and autosaves but isn't undoable
+elements.timezoneSelect.innerHTML = [
+    '<option value="">촬영지 현지 시각</option>',
+    ...getTimeZoneOptions().map(zone => `<option value="${zone}">${zone}</option>`),
+].join('');
+
+function updateTimezoneControls() {
+    elements.timezoneSelect.value = state.timezone || '';
+}
+
+elements.timezoneSelect.addEventListener('change', (e) => {
+    state.timezone = e.target.value || null;
+    updateRangeControls();
+    updateCompareControls();
+    renderTimeline();
+    scheduleAutosave();
+});
+
+// ==================== Event Grouping ====================
+// Also a view setting: it changes how photos are drawn, not the photos
+elements.groupingSelect.innerHTML = [
+    '<option value="">묶지 않음</option>',
+    ...EVENT_GAP_OPTIONS.map(hours =>
+        `<option value="${hours}">${hours < 24 ? `${hours}시간` : `${hours / 24}일`} 간격</option>`),
+].join('');
+
+function updateGroupingControls() {
+    elements.groupingSelect.value = state.eventGrouping ? String(state.eventGrouping.gapHours) : '';
+    // While grouping is off the checkbox keeps its last value for when it is turned back on
+    if (state.eventGrouping) {
+        elements.groupByLocationInput.checked = state.eventGrouping.useLocation;
+    }
+    elements.groupByLocationInput.disabled = !state.eventGrouping;
+}
+
+function setEventGrouping(grouping) {
+    state.eventGrouping = grouping;
+    updateGroupingControls();
+    renderTimeline();
+    scheduleAutosave();
+}
+
+elements.groupingSelect.addEventListener('change', (e) => {
+    setEventGrouping(e.target.value
+        ? { gapHours: Number(e.target.value), useLocation: elements.groupByLocationInput.checked }
+        : null);
+});
+
+elements.groupByLocationInput.addEventListener('change', (e) => {
+    if (!state.eventGrouping) return;
+    setEventGrouping({ ...state.eventGrouping, useLocation: e.target.checked });
+});
+
+// ==================== Tag Filter ====================
+// A view setting like the time zone: re-renders and autosaves but isn't undoable
+function updateTagFilterControls() {
+    const selected = new Set(state.tagFilter.tags.map(getTagKey));
+    const entries = getProjectTags();
+    // Chosen tags no photo carries any more stay visible so they can be turned off
+    state.tagFilter.tags
+        .filter(tag => !entries.some(entry => getTagKey(entry.tag) === getTagKey(tag)))
+        .forEach(tag => entries.push({ tag, count: 0 }));
+
+    elements.tagFilterBar.style.display = entries.length > 0 ? 'flex' : 'none';
+    elements.tagFilterChips.innerHTML = TAG_TYPES.map(({ type, label }) => {
+        const chips = entries.filter(entry => entry.tag.type === type);
+        if (chips.length === 0) return '';
+
+        return `<span class="tag-filter-type">${label}</span>` + chips.map(({ tag, count }) =>
+            `<button type="button" class="tag-chip${selected.has(getTagKey(tag)) ? ' active' : ''}" ` +
+            `data-tag-type="${type}" data-tag-name="${escapeHTML(tag.name)}">` +
+            `${escapeHTML(tag.name)} <small>${count}</small></button>`
+        ).join('');
+    }).join('');
+
+    elements.tagFilterModeSelect.value = state.tagFilter.mode;
+    elements.tagFilterCurveInput.checked = state.tagFilter.curve;
+    elements.clearTagFilterButton.disabled = !isTagFilterActive();
+}
+
+function setTagFilter(filter) {
+    state.tagFilter = filter;
+    updateTagFilterControls();
+    renderTimeline();
+    scheduleAutosave();
+}
+
+elements.tagFilterChips.addEventListener('click', (e) => {
+    const chip = e.target.closest('.tag-chip');
+    if (!chip) return;
+
+    const tag = { type: chip.dataset.tagType, name: chip.dataset.tagName };
+    const others = state.tagFilter.tags.filter(other => getTagKey(other) !== getTagKey(tag));
+    setTagFilter({
+        ...state.tagFilter,
+        tags: others.length < state.tagFilter.tags.length ? others : [...others, tag],
     });
 });
 
+elements.tagFilterModeSelect.addEventListener('change', (e) => {
+    setTagFilter({ ...state.tagFilter, mode: e.target.value });
+});
+
+elements.tagFilterCurveInput.addEventListener('change', (e) => {
+    setTagFilter({ ...state.tagFilter, curve: e.target.checked });
+});
+
+elements.clearTagFilterButton.addEventListener('click', () => {
+    setTagFilter({ ...state.tagFilter, tags: [] });
+});
+
+// ==================== Photo Map ====================
+// The tile source is a view setting too: autosaved but not undoable
+function updateMapControls() {
+    elements.mapTilesInput.value = state.mapTiles || '';
+}
+
+elements.mapTilesInput.addEventListener('change', (e) => {
+    const tiles = e.target.value.trim() || null;
+    if (!isValidMapTiles(tiles)) {
+        alert('지도 타일 주소는 http(s)://로 시작하고 {z}, {x}, {y}를 포함해야 합니다.');
+        updateMapControls();
+        return;
+    }
+
+    state.mapTiles = tiles;
+    renderPhotoMap();
+    scheduleAutosave();
+});
+
+elements.mapCanvas.addEventListener('mousemove', handleMapMouseMove);
+elements.mapCanvas.addEventListener('mouseleave', handleMapMouseLeave);
+elements.mapCanvas.addEventListener('click', handleMapClick);
+elements.toggleMapButton.addEventListener('click', toggleMapPanel);
+
+// ==================== Search ====================
+let searchMatches = [];
+let activeSearchIndex = -1;
+
+function updateSearchResults() {
+    const query = elements.photoSearchInput.value;
+    const matches = searchPhotos(query);
+    searchMatches = matches.slice(0, SEARCH_RESULT_LIMIT);
+    activeSearchIndex = searchMatches.length > 0 ? 0 : -1;
+
+    if (!query.trim()) {
+        closeSearchResults();
+        return;
+    }
+
+    elements.searchResults.innerHTML = searchMatches.length === 0
+        ? '<li class="search-results-note">일치하는 사진이 없습니다</li>'
+        : searchMatches.map((photo, index) => {
+            const date = getPhotoDisplayDate(photo);
+            return `
+                <li class="search-result" role="option" data-index="${index}">
+                    <img src="${getThumbnailUrl(photo)}" alt="">
+                    <div class="search-result-text">
+                        <span>${escapeHTML(photo.label || photo.name)}</span>
+                        <small>${photo.hasValidDate ? formatDate(date) : '날짜 없음'}</small>
+                    </div>
+                </li>
+            `;
+        }).join('') + (matches.length > searchMatches.length
+            ? `<li class="search-results-note">${matches.length}장 중 ${searchMatches.length}장 표시</li>`
+            : '');
+
+    elements.searchResults.style.display = 'block';
+    elements.photoSearchInput.setAttribute('aria-expanded', 'true');
+    highlightSearchResult();
+}
+
+function highlightSearchResult() {
+    elements.searchResults.querySelectorAll('.search-result').forEach(item => {
+        const isActive = Number(item.dataset.index) === activeSearchIndex;
+        item.classList.toggle('active', isActive);
+        item.setAttribute('aria-selected', String(isActive));
+        if (isActive) item.scrollIntoView({ block: 'nearest' });
+    });
+}
+
+function closeSearchResults() {
+    elements.searchResults.style.display = 'none';
+    elements.photoSearchInput.setAttribute('aria-expanded', 'false');
+}
+
+// Bring a photo into view: leave whatever would keep it off the timeline,
+// glide to it, then open it
+async function goToPhoto(photo) {
+    closeSearchResults();
+    elements.photoSearchInput.blur();
+
+    if (isCompareMode()) {
+        setCompareYears(null);
+    }
+    if (getFilteredPhotos([photo]).length === 0) {
+        setTagFilter({ ...state.tagFilter, tags: [] });
+    }
+    if (!isTimeInLayout(getPhotoTime(photo), getTimelineLayout())) {
+        setRange({ mode: 'year', year: getPhotoDisplayDate(photo).getFullYear() });
+    }
+
+    const placement = findPhotoPlacement(photo);
+    if (!placement) return;
+
+    await animateViewTo(placement.x, placement.y, Math.min(3, Math.max(zoomLevel, 2)));
+    showPhotoModal(photo.id, getEventPhotos(placement.cover));
+}
+
+elements.photoSearchInput.addEventListener('input', updateSearchResults);
+elements.photoSearchInput.addEventListener('focus', () => {
+    if (elements.photoSearchInput.value.trim()) {
+        updateSearchResults();
+    }
+});
+elements.photoSearchInput.addEventListener('blur', closeSearchResults);
+
+elements.photoSearchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+        closeSearchResults();
+        return;
+    }
+    if (searchMatches.length === 0) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        activeSearchIndex = (activeSearchIndex + step + searchMatches.length) % searchMatches.length;
+        highlightSearchResult();
+    } else if (e.key === 'Enter' && activeSearchIndex !== -1) {
+        e.preventDefault();
+        goToPhoto(searchMatches[activeSearchIndex]);
+    }
+});
+
+// mousedown, not click: the input's blur would close the list first
+elements.searchResults.addEventListener('mousedown', (e) => {
+    const item = e.target.closest('.search-result');
+    if (!item) return;
+
+    e.preventDefault();
+    goToPhoto(searchMatches[Number(item.dataset.index)]);
+});
+
+// ==================== Year Comparison ====================
+function setCompareYears(years) {
+    state.compareYears = years && years.length > 0 ? years : null;
+
+    // Curves can only be edited on the regular timeline
+    if (state.compareYears && state.isDrawingMode) {
+        exitDrawingMode();
+    }
+
+    updateCompareControls();
+    renderTimeline();
+    scheduleAutosave();
+}
+
+function updateCompareControls() {
+    const isComparing = isCompareMode();
+    elements.compareButton.classList.toggle('active', isComparing);
+    elements.compareYearsGroup.style.display = isComparing ? 'flex' : 'none';
+
+    // The range picker has no effect while comparing
+    [elements.rangeModeSelect, elements.rangeYearSelect,
+        elements.rangeStartInput, elements.rangeEndInput].forEach(control => {
+        control.disabled = isComparing;
+    });
+
+    if (!isComparing) return;
+
+    // Selected years stay listed even after their photos are removed
+    const years = [...new Set([...getDataYears(), ...state.compareYears])].sort((a, b) => a - b);
+    elements.compareYearList.innerHTML = years.map(year => {
+        const isActive = state.compareYears.includes(year);
+        const swatch = isActive ? `style="background: ${getCompareYearStyle(year).color}"` : '';
+        return `
+            <button type="button" class="compare-year-chip${isActive ? ' active' : ''}" data-year="${year}">
+                <span class="swatch" ${swatch}></span>${year}
+            </button>
+        `;
+    }).join('');
+
+    elements.compareYearList.querySelectorAll('.compare-year-chip').forEach(chip => {
+        chip.addEventListener('click', () => {
+            const year = parseInt(chip.dataset.year);
+            const years = state.compareYears.includes(year)
+                ? state.compareYears.filter(y => y !== year)
+                : [...state.compareYears, year];
+
+            // Keep at least one year selected; use the toggle button to leave the view
+            if (years.length > 0) {
+                setCompareYears(years);
+            }
+        });
+    });
+}
+
+elements.compareButton.addEventListener('click', () => {
+    if (isCompareMode()) {
+        setCompareYears(null);
+        return;
+    }
+
+    const years = getDefaultCompareYears();
+    if (years.length < 2) {
+        alert('비교하려면 두 해 이상의 사진이나 곡선이 필요합니다.');
+        return;
+    }
+    setCompareYears(years);
+});
+
 // ==================== Drawing Mode ====================
 elements.drawModeButton.addEventListener('click', () => {
+    // Drawing happens on the regular timeline
+    if (!state.isDrawingMode && isCompareMode()) {
+        setCompareYears(null);
+    }
+
     state.isDrawingMode = !state.isDrawingMode;
 
     if (state.isDrawingMode) {
+        prepareActiveLayerForDrawing();
+
         elements.drawModeButton.style.background = 'var(--gradient-primary)';
         elements.drawModeButton.style.color = 'white';
         // Update button text
@@ -455,7 +1303,9 @@ elements.drawModeButton.addEventListener('click', () => {
     }
 });
 
-elements.finishDrawingButton.addEventListener('click', () => {
+elements.finishDrawingButton.addEventListener('click', exitDrawingMode);
+
+function exitDrawingMode() {
     state.isDrawingMode = false;
     elements.drawModeButton.style.background = '';
     elements.drawModeButton.style.color = '';
@@ -469,75 +1319,323 @@ elements.finishDrawingButton.addEventListener('click', () => {
     elements.curveControlButtons.style.display = 'none';
     elements.clearCurveButtonGroup.style.display = 'none';
     disableDrawing();
+}
+
+// ==================== Auto Curve ====================
+// The mode belongs to the active layer; switching it is autosaved but not undoable.
+// Turning it on moves the auto curve here: the layer that had it shows its drawn points.
+function setCurveMode(mode) {
+    const layer = getActiveCurveLayer();
+    if ((layer === getAutoCurveLayer()) === (mode === 'auto')) return;
+
+    state.curveLayers.forEach(other => {
+        if (other.mode === 'auto') other.mode = 'manual';
+    });
+    layer.mode = mode;
+    updateCurveModeControls();
+    updateCurveLayerControls();
+    renderTimeline();
+    scheduleAutosave();
+}
+
+function updateCurveModeControls() {
+    const isAuto = getActiveCurveLayer() === getAutoCurveLayer();
+    elements.autoCurveButton.classList.toggle('active', isAuto);
+    elements.convertCurveButtonGroup.style.display = isAuto ? 'flex' : 'none';
+    // Drawn curves don't come from the photos, so the tag filter can't redraw them
+    elements.tagFilterCurveInput.disabled = !getAutoCurveLayer();
+}
+
+elements.autoCurveButton.addEventListener('click', () => {
+    if (state.isDrawingMode) {
+        exitDrawingMode();
+    }
+    setCurveMode(getActiveCurveLayer() === getAutoCurveLayer() ? 'manual' : 'auto');
+});
+
+// Turn the generated curve into a regular curve that can be edited by hand
+elements.convertCurveButton.addEventListener('click', () => {
+    const layer = getActiveCurveLayer();
+    if (layer.points.length > 0 &&
+        !confirm('직접 그린 곡선을 자동 곡선으로 대체하시겠습니까?')) {
+        return;
+    }
+
+    changeProperties('자동 곡선 변환', layer, {
+        points: getAutoCurveControlPoints(),
+        mode: 'manual',
+    });
 });
 
 elements.clearCurveButton.addEventListener('click', () => {
-    state.curvePoints = [];
-    renderTimeline();
+    changeProperties('곡선 초기화', getActiveCurveLayer(), { points: [] });
 });
 
-// ==================== Export Button ====================
-elements.exportButton.addEventListener('click', () => {
-    const canvas = document.getElementById('timelineCanvas');
+// ==================== Curve Layers ====================
+// Adding, removing, reordering, renaming and recolouring layers is undoable.
+// Which layer is edited and which are shown are autosaved view settings.
+function updateCurveLayerControls() {
+    const active = getActiveCurveLayer();
+    const autoLayer = getAutoCurveLayer();
+    const isOnly = state.curveLayers.length === 1;
+
+    elements.curveLayerList.innerHTML = state.curveLayers.map((layer, index) => `
+        <li class="curve-layer${layer === active ? ' active' : ''}" data-layer-id="${layer.id}">
+            <input type="radio" name="activeCurveLayer" data-action="select" ${layer === active ? 'checked' : ''}
+                title="이 곡선 편집" aria-label="${escapeHTML(layer.name)} 편집">
+            <input type="color" data-action="color" value="${layer.color}" aria-label="곡선 색">
+            <input type="text" class="control-select" data-action="rename" value="${escapeHTML(layer.name)}"
+                aria-label="곡선 이름">
+            ${layer === autoLayer ? '<span class="curve-layer-mode">자동</span>' : ''}
+            <label class="control-check">
+                <input type="checkbox" data-action="visible" ${layer.visible ? 'checked' : ''}>
+                보이기
+            </label>
+            <button type="button" class="btn-link" data-action="up" title="위로 (먼저 그림)"
+                ${index === 0 ? 'disabled' : ''}>↑</button>
+            <button type="button" class="btn-link" data-action="down" title="아래로 (나중에, 위에 그림)"
+                ${index === state.curveLayers.length - 1 ? 'disabled' : ''}>↓</button>
+            <button type="button" class="btn-link" data-action="delete" ${isOnly ? 'disabled' : ''}>삭제</button>
+        </li>
+    `).join('');
+}
 
-    // Save current zoom and pan state
-    const savedZoom = typeof zoomLevel !== 'undefined' ? zoomLevel : 1;
-    const savedPanX = typeof panX !== 'undefined' ? panX : 0;
-    const savedPanY = typeof panY !== 'undefined' ? panY : 0;
+function findCurveLayer(element) {
+    const item = element.closest('.curve-layer');
+    return item && state.curveLayers.find(layer => String(layer.id) === item.dataset.layerId);
+}
 
-    // Reset to default view to export entire timeline
-    if (typeof zoomLevel !== 'undefined') zoomLevel = 1;
-    if (typeof panX !== 'undefined') panX = 0;
-    if (typeof panY !== 'undefined') panY = 0;
+function setActiveCurveLayer(layer) {
+    state.activeCurveLayerId = layer.id;
+    selectedControlPoint = -1;
+    if (state.isDrawingMode) {
+        prepareActiveLayerForDrawing();
+    }
 
-    // Re-render at default zoom/pan
-    if (typeof renderTimeline === 'function') {
-        renderTimeline();
+    updateCurveModeControls();
+    updateCurveLayerControls();
+    renderTimeline();
+    scheduleAutosave();
+}
+
+// Drawing edits the active layer's hand-drawn curve, which has to be on screen
+function prepareActiveLayerForDrawing() {
+    const layer = getActiveCurveLayer();
+    layer.visible = true;
+    layer.mode = 'manual';
+
+    updateCurveModeControls();
+    updateCurveLayerControls();
+    scheduleAutosave();
+}
+
+function setCurveLayerVisible(layer, visible) {
+    if (!visible && state.isDrawingMode && layer === getActiveCurveLayer()) {
+        exitDrawingMode();
     }
 
-    // Wait a bit for rendering to complete
-    setTimeout(() => {
-        // Create a temporary canvas with white background
-        const tempCanvas = document.createElement('canvas');
-        const tempCtx = tempCanvas.getContext('2d');
-        tempCanvas.width = canvas.width;
-        tempCanvas.height = canvas.height;
-
-        // Fill with white background
-        tempCtx.fillStyle = '#ffffff';
-        tempCtx.fillRect(0, 0, tempCanvas.width, tempCanvas.height);
-
-        // Draw the original canvas on top
-        tempCtx.drawImage(canvas, 0, 0);
-
-        // Convert to blob and download
-        tempCanvas.toBlob((blob) => {
-            const url = URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            const timestamp = new Date().toISOString().slice(0, 10);
-            link.download = `life-curve-${state.selectedYear}-${timestamp}.png`;
-            link.href = url;
-            link.click();
-            URL.revokeObjectURL(url);
-
-            // Restore original zoom and pan state
-            if (typeof zoomLevel !== 'undefined') zoomLevel = savedZoom;
-            if (typeof panX !== 'undefined') panX = savedPanX;
-            if (typeof panY !== 'undefined') panY = savedPanY;
-
-            // Re-render with restored state
-            if (typeof renderTimeline === 'function') {
-                renderTimeline();
-            }
+    layer.visible = visible;
+    renderTimeline();
+    scheduleAutosave();
+}
+
+function moveCurveLayer(layer, offset) {
+    const layers = state.curveLayers.filter(other => other !== layer);
+    layers.splice(state.curveLayers.indexOf(layer) + offset, 0, layer);
+    executeCommand(createCurveLayersCommand('곡선 순서 변경', layers));
+}
 
-            // Update slider to match restored zoom
-            if (elements.zoomSlider && elements.zoomValue) {
-                const zoomPercent = Math.round(savedZoom * 100);
-                elements.zoomSlider.value = zoomPercent;
-                elements.zoomValue.textContent = `${zoomPercent}%`;
+function deleteCurveLayer(layer) {
+    if (layer.points.length > 0 && !confirm(`'${layer.name}' 곡선을 삭제하시겠습니까?`)) {
+        return;
+    }
+
+    // Keep editing a neighbour
+    const layers = state.curveLayers.filter(other => other !== layer);
+    if (layer === getActiveCurveLayer()) {
+        if (state.isDrawingMode) {
+            exitDrawingMode();
+        }
+        state.activeCurveLayerId = layers[Math.max(0, state.curveLayers.indexOf(layer) - 1)].id;
+    }
+    executeCommand(createCurveLayersCommand('곡선 삭제', layers));
+}
+
+elements.addCurveLayerButton.addEventListener('click', () => {
+    const layer = createCurveLayer({
+        name: `곡선 ${state.curveLayers.length + 1}`,
+        color: getNextCurveLayerColor(),
+    });
+    if (state.isDrawingMode) {
+        exitDrawingMode();
+    }
+
+    state.activeCurveLayerId = layer.id;
+    executeCommand(createCurveLayersCommand('곡선 추가', [...state.curveLayers, layer]));
+
+    // Ready to be named
+    const nameInput = elements.curveLayerList.querySelector('.curve-layer.active [data-action="rename"]');
+    nameInput.focus();
+    nameInput.select();
+});
+
+elements.curveLayerList.addEventListener('change', (e) => {
+    const layer = findCurveLayer(e.target);
+    if (!layer) return;
+
+    switch (e.target.dataset.action) {
+        case 'select':
+            setActiveCurveLayer(layer);
+            break;
+        case 'color':
+            changeProperties('곡선 색 변경', layer, { color: e.target.value });
+            break;
+        case 'rename': {
+            const name = e.target.value.trim();
+            if (name && name !== layer.name) {
+                changeProperties('곡선 이름 변경', layer, { name });
+            } else {
+                e.target.value = layer.name;
             }
-        }, 'image/png', 1.0);
-    }, 100);
+            break;
+        }
+        case 'visible':
+            setCurveLayerVisible(layer, e.target.checked);
+            break;
+    }
+});
+
+elements.curveLayerList.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    const layer = button && findCurveLayer(button);
+    if (!layer) return;
+
+    if (button.dataset.action === 'up') {
+        moveCurveLayer(layer, -1);
+    } else if (button.dataset.action === 'down') {
+        moveCurveLayer(layer, 1);
+    } else if (button.dataset.action === 'delete') {
+        deleteCurveLayer(layer);
+    }
+});
+
+// Enter in a name field commits it
+elements.curveLayerList.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && e.target.dataset.action === 'rename') {
+        e.target.blur();
+    }
+});
+
+// ==================== Export Dialog ====================
+function getExportSettings() {
+    const form = elements.exportForm;
+    return {
+        scope: form.elements.exportScope.value,
+        rangeStart: elements.exportRangeStartInput.value,
+        rangeEnd: elements.exportRangeEndInput.value,
+        size: form.elements.exportSize.value,
+        width: parseInt(elements.exportWidthInput.value, 10),
+        dpi: parseInt(elements.exportDpiInput.value, 10),
+        background: form.elements.exportBackground.value,
+    };
+}
+
+function updateExportSummary() {
+    const settings = getExportSettings();
+    let size;
+    let error;
+    try {
+        size = getExportSize(settings, getExportView(settings));
+        error = validateExportSize(size);
+    } catch (viewError) {
+        error = viewError.message;
+    }
+
+    elements.exportRangeDates.style.display = settings.scope === 'range' ? 'flex' : 'none';
+    elements.exportCustomSize.style.display = settings.size === 'custom' ? 'flex' : 'none';
+    elements.exportSizeSummary.textContent = error ||
+        `${size.width.toLocaleString()} × ${size.height.toLocaleString()}px · ${Math.round(size.dpi)} DPI`;
+    elements.exportSizeSummary.classList.toggle('error', Boolean(error));
+    elements.exportConfirmButton.disabled = Boolean(error);
+}
+
+function openExportDialog() {
+    // Custom width starts from the current canvas size
+    if (!elements.exportWidthInput.value) {
+        elements.exportWidthInput.value = canvasWidth;
+    }
+
+    // The date range starts as the timeline's own range
+    const { start, end } = resolveTimelineRange();
+    elements.exportRangeStartInput.value = formatDateForInput(new Date(start));
+    elements.exportRangeEndInput.value = formatDateForInput(new Date(end - 1));
+
+    // Dates don't map onto the shared Jan–Dec axis of the comparison view
+    const rangeRadio = elements.exportForm.querySelector('input[name="exportScope"][value="range"]');
+    rangeRadio.disabled = isCompareMode();
+    elements.exportRangeOption.classList.toggle('disabled', isCompareMode());
+    if (rangeRadio.disabled && rangeRadio.checked) {
+        elements.exportForm.querySelector('input[name="exportScope"][value="full"]').checked = true;
+    }
+
+    updateExportSummary();
+    elements.exportModal.classList.add('active');
+}
+
+function closeExportDialog() {
+    elements.exportModal.classList.remove('active');
+}
+
+elements.exportButton.addEventListener('click', openExportDialog);
+elements.exportModalBackdrop.addEventListener('click', closeExportDialog);
+elements.exportCancelButton.addEventListener('click', closeExportDialog);
+elements.exportForm.addEventListener('input', updateExportSummary);
+
+elements.exportForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    // Large renders take a moment
+    elements.exportConfirmButton.disabled = true;
+    try {
+        await exportTimelinePNG(getExportSettings());
+        closeExportDialog();
+    } catch (error) {
+        console.error('Error exporting PNG:', error);
+        alert(error.message || '이미지를 내보내지 못했습니다.');
+    } finally {
+        elements.exportConfirmButton.disabled = false;
+    }
+});
+
+elements.exportHtmlButton.addEventListener('click', async () => {
+    try {
+        await exportInteractiveHTML();
+    } catch (error) {
+        console.error('Error exporting HTML:', error);
+        alert('HTML 파일을 내보내지 못했습니다.');
+    }
+});
+
+elements.exportSvgButton.addEventListener('click', async () => {
+    try {
+        await exportTimelineSVG();
+    } catch (error) {
+        console.error('Error exporting SVG:', error);
+        alert('SVG 파일을 내보내지 못했습니다.');
+    }
+});
+
+elements.exportPdfButton.addEventListener('click', async () => {
+    // Rendering pages at print resolution takes a moment
+    elements.exportPdfButton.disabled = true;
+    try {
+        await exportTimelinePDF();
+    } catch (error) {
+        console.error('Error exporting PDF:', error);
+        alert('PDF 파일을 내보내지 못했습니다.');
+    } finally {
+        elements.exportPdfButton.disabled = false;
+    }
 });
 
 // ==================== Zoom Control ====================
@@ -581,94 +1679,380 @@ if (elements.zoomSlider) {
 // ==================== Back to Photos Button ====================
 elements.backToPhotosButton.addEventListener('click', () => {
     // Switch back to upload section without clearing photos
+    state.view = 'upload';
     elements.timelineSection.style.display = 'none';
     elements.uploadSection.style.display = 'block';
 
     // Update photo grid to show current photos
     updatePhotoGrid();
+    scheduleAutosave();
 });
 
 // ==================== Reset Button ====================
 elements.resetButton.addEventListener('click', () => {
     if (confirm('모든 내용을 지우고 처음부터 다시 시작하시겠습니까?')) {
+        releasePhotoImages(state.photos);
         state.photos = [];
-        state.selectedYear = null;
+        state.range = null;
+        state.compareYears = null;
+        state.timezone = null;
+        state.eventGrouping = { ...DEFAULT_EVENT_GROUPING };
+        state.mapTiles = null;
+        state.tagFilter = { ...DEFAULT_TAG_FILTER };
         state.orientation = 'horizontal';
         state.isDrawingMode = false;
-        state.curvePoints = [];
+        state.curveLayers = createDefaultCurveLayers();
+        state.activeCurveLayerId = null;
+        state.view = 'upload';
+        clearHistory();
 
         elements.uploadSection.style.display = 'block';
         elements.timelineSection.style.display = 'none';
-        elements.fileInput.value = '';
         updatePhotoGrid();
+
+        clearSavedProject().catch(error => {
+            console.error('Failed to clear saved project:', error);
+        });
     }
 });
 
 // ==================== Photo Modal ====================
-function showPhotoModal(photoId) {
+// eventPhotos: the photos of the event the photo was opened from; with more
+// than one the modal becomes a carousel over them
+function showPhotoModal(photoId, eventPhotos = []) {
+    modalEventPhotoIds = eventPhotos.length > 1 ? eventPhotos.map(photo => photo.id) : [];
+    displayModalPhoto(photoId);
+    elements.photoModal.classList.add('active');
+}
+
+function displayModalPhoto(photoId) {
     const photo = state.photos.find(p => p.id === photoId);
     if (!photo) return;
 
     currentModalPhotoId = photoId;
 
-    elements.modalImage.src = photo.imageUrl;
-    elements.modalDate.textContent = formatDate(photo.captureDate);
+    elements.modalImage.src = getOriginalUrl(photo);
+    const displayDate = getPhotoDisplayDate(photo);
+    elements.modalDate.textContent = `${formatDate(displayDate)} ${formatTime(displayDate)}`;
 
-    let details = `파일명: ${photo.name}`;
-    if (photo.exifData) {
-        if (photo.exifData.Make && photo.exifData.Model) {
-            details += `\n카메라: ${photo.exifData.Make} ${photo.exifData.Model}`;
-        }
-    }
-    elements.modalDetails.textContent = details;
+    renderModalDetails(photo);
 
-    // Load existing label
+    // Load what was written about the photo
     elements.modalLabelInput.value = photo.label || '';
+    elements.modalCaptionInput.value = photo.caption || '';
+    elements.modalTagInputs.forEach(input => {
+        input.value = getPhotoTagNames(photo, input.dataset.tagType).join(', ');
+    });
+    elements.modalNotesInput.value = photo.notes || '';
 
-    elements.photoModal.classList.add('active');
+    updateModalCarousel();
+}
+
+function updateModalCarousel() {
+    // Photos deleted since the modal opened drop out
+    modalEventPhotoIds = modalEventPhotoIds.filter(id => state.photos.some(photo => photo.id === id));
+    elements.modalCarousel.style.display = modalEventPhotoIds.length > 1 ? 'flex' : 'none';
+    if (modalEventPhotoIds.length < 2) return;
+
+    const index = modalEventPhotoIds.indexOf(currentModalPhotoId);
+    elements.modalCarouselCount.textContent = `${index + 1} / ${modalEventPhotoIds.length}`;
+    elements.modalThumbs.innerHTML = modalEventPhotoIds.map(id => {
+        const photo = state.photos.find(p => p.id === id);
+        return `<button type="button" class="modal-thumb${id === currentModalPhotoId ? ' active' : ''}" ` +
+            `data-photo-id="${id}" title="${escapeHTML(photo.label || photo.name)}">` +
+            `<img src="${getThumbnailUrl(photo)}" alt=""></button>`;
+    }).join('');
+    elements.modalThumbs.querySelector('.active')?.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+}
+
+// Move through the event; edits are kept, as when pressing Enter
+function showEventPhoto(photoId) {
+    saveModalEdits();
+    displayModalPhoto(photoId);
+}
+
+function stepModalPhoto(step) {
+    const count = modalEventPhotoIds.length;
+    if (count < 2) return;
+
+    const index = modalEventPhotoIds.indexOf(currentModalPhotoId);
+    showEventPhoto(modalEventPhotoIds[(index + step + count) % count]);
 }
 
 function closePhotoModal() {
     elements.photoModal.classList.remove('active');
     currentModalPhotoId = null;
+    modalEventPhotoIds = [];
 }
 
-elements.modalBackdrop.addEventListener('click', closePhotoModal);
-
-// Save label button
-elements.saveLabelButton.addEventListener('click', () => {
-    if (currentModalPhotoId === null) return;
-
+// Label, caption, tags and notes change together as one undo step.
+// Empty fields remove the property.
+function saveModalEdits() {
     const photo = state.photos.find(p => p.id === currentModalPhotoId);
     if (!photo) return;
 
-    const labelText = elements.modalLabelInput.value.trim();
-    if (labelText) {
-        photo.label = labelText;
-    } else {
-        delete photo.label;
+    const after = {
+        label: elements.modalLabelInput.value.trim() || undefined,
+        caption: elements.modalCaptionInput.value.trim() || undefined,
+        tags: normalizeTags(Array.from(elements.modalTagInputs, input =>
+            parseTagList(input.value, input.dataset.tagType)).flat()),
+        notes: elements.modalNotesInput.value.trim() || undefined,
+    };
+
+    const tagKeys = tags => (tags || []).map(getTagKey).join('\n');
+    const changed = after.label !== photo.label || after.caption !== photo.caption ||
+        after.notes !== photo.notes || tagKeys(after.tags) !== tagKeys(photo.tags);
+    if (changed) {
+        changeProperties(after.label !== photo.label ? '라벨 변경' : '사진 정보 변경', photo, after);
     }
+}
 
-    // Re-render timeline if in timeline view
-    if (typeof renderTimeline === 'function') {
-        renderTimeline();
+// ==================== Photo Metadata ====================
+const DATE_SOURCE_LABELS = {
+    exif: 'EXIF 촬영 날짜',
+    edited: '직접 수정함',
+    file: '파일 수정일 (EXIF 날짜 없음)',
+};
+
+function formatFileSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))}KB`;
+}
+
+// 0.004 -> '1/250초', 2 -> '2초'
+function formatExposureTime(seconds) {
+    return seconds >= 1 ? `${seconds}초` : `1/${Math.round(1 / seconds)}초`;
+}
+
+// [name, value] rows for the modal; what a photo doesn't record is left out.
+// `image` is the loaded original, for photos whose EXIF has no pixel size.
+function getPhotoMetadataRows(photo, image = null) {
+    const exif = photo.exifData || {};
+    const rows = [['파일명', photo.name]];
+
+    const dateSource = getPhotoDateSource(photo);
+    rows.push(['날짜 출처', DATE_SOURCE_LABELS[dateSource]]);
+    const exifDate = getExifCaptureDate(exif);
+    if (dateSource === 'edited' && exifDate) {
+        rows.push(['원래 촬영 날짜', `${formatDate(exifDate)} ${formatTime(exifDate)}`]);
+    }
+    if (photo.captureOffset != null) {
+        rows.push(['촬영지 시각', `${formatDate(photo.captureDate)} ${formatTime(photo.captureDate)} ` +
+            `(${formatUtcOffset(photo.captureOffset)})`]);
     }
 
-    closePhotoModal();
+    const camera = [exif.Make, exif.Model].filter(Boolean).join(' ');
+    if (camera) rows.push(['카메라', camera]);
+    if (exif.LensModel) rows.push(['렌즈', exif.LensModel]);
+
+    const exposure = [];
+    if (exif.ExposureTime) exposure.push(formatExposureTime(exif.ExposureTime));
+    if (exif.FNumber) exposure.push(`f/${exif.FNumber}`);
+    if (exif.ISO) exposure.push(`ISO ${exif.ISO}`);
+    if (exif.FocalLength) {
+        exposure.push(`${Math.round(exif.FocalLength * 10) / 10}mm` +
+            (exif.FocalLengthIn35mmFormat ? ` (35mm 환산 ${exif.FocalLengthIn35mmFormat}mm)` : ''));
+    }
+    if (exposure.length > 0) rows.push(['노출', exposure.join(' · ')]);
+
+    const width = exif.ExifImageWidth || exif.ImageWidth || image?.naturalWidth;
+    const height = exif.ExifImageHeight || exif.ImageHeight || image?.naturalHeight;
+    const size = [];
+    if (width && height) size.push(`${width} × ${height}px`);
+    if (photo.file?.size) size.push(formatFileSize(photo.file.size));
+    if (size.length > 0) rows.push(['크기', size.join(' · ')]);
+
+    const location = getPhotoLocation(photo);
+    if (location) {
+        rows.push(['위치', `${location.latitude.toFixed(5)}, ${location.longitude.toFixed(5)}` +
+            (Number.isFinite(exif.GPSAltitude) ? ` · 고도 ${Math.round(exif.GPSAltitude)}m` : '')]);
+    }
+
+    return rows;
+}
+
+function renderModalDetails(photo) {
+    const image = elements.modalImage.complete && elements.modalImage.naturalWidth > 0 ? elements.modalImage : null;
+    elements.modalDetails.innerHTML = getPhotoMetadataRows(photo, image)
+        .map(([name, value]) => `<dt>${name}</dt><dd>${escapeHTML(String(value))}</dd>`)
+        .join('');
+}
+
+// The pixel size of photos without it in EXIF is known once the original loads
+elements.modalImage.addEventListener('load', () => {
+    const photo = state.photos.find(p => p.id === currentModalPhotoId);
+    if (photo) renderModalDetails(photo);
 });
 
-// Save label on Enter key
-elements.modalLabelInput.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter') {
-        elements.saveLabelButton.click();
+elements.modalPrevButton.addEventListener('click', () => stepModalPhoto(-1));
+elements.modalNextButton.addEventListener('click', () => stepModalPhoto(1));
+
+elements.modalThumbs.addEventListener('click', (e) => {
+    const thumb = e.target.closest('.modal-thumb');
+    if (thumb) {
+        showEventPhoto(parseFloat(thumb.dataset.photoId));
     }
 });
 
+elements.modalBackdrop.addEventListener('click', closePhotoModal);
+
+// Save button
+elements.saveLabelButton.addEventListener('click', () => {
+    if (currentModalPhotoId === null) return;
+
+    saveModalEdits();
+    closePhotoModal();
+});
+
+// Save on Enter in the one-line fields (the notes take line breaks)
+[elements.modalLabelInput, elements.modalCaptionInput, ...elements.modalTagInputs].forEach(input => {
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            elements.saveLabelButton.click();
+        }
+    });
+});
+
 document.addEventListener('keydown', (e) => {
     if (e.key === 'Escape' && elements.photoModal.classList.contains('active')) {
         closePhotoModal();
+        return;
+    }
+    if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') &&
+        elements.photoModal.classList.contains('active') && !e.target.closest('input, textarea')) {
+        stepModalPhoto(e.key === 'ArrowLeft' ? -1 : 1);
+        return;
+    }
+    if (e.key === 'Escape' && elements.duplicateModal.classList.contains('active')) {
+        skipAllDuplicates();
+        return;
+    }
+    if (e.key === 'Escape' && elements.exportModal.classList.contains('active')) {
+        closeExportDialog();
+        return;
+    }
+    if (e.key === 'Escape' && state.view === 'upload' && selectedPhotoIds.size > 0 &&
+        e.target.tagName !== 'INPUT') {
+        setPhotoSelection([]);
+        return;
+    }
+
+    // Undo / redo work in both the photo grid and the timeline
+    handleHistoryShortcut(e);
+});
+
+// Re-render whichever view is showing after the project changed
+function refreshProjectViews() {
+    if (state.view === 'timeline') {
+        updateCurveModeControls();
+        updateCurveLayerControls();
+        updateRangeControls();
+        updateTimezoneControls();
+        updateGroupingControls();
+        updateCompareControls();
+        updateMapControls();
+        updateTagFilterControls();
+        renderTimeline();
+    } else {
+        updatePhotoGrid();
+    }
+}
+
+// ==================== Project Save / Open ====================
+function applyProject(project) {
+    if (state.isDrawingMode) {
+        exitDrawingMode();
+    }
+
+    clearHistory();
+    releasePhotoImages(state.photos);
+    state.photos = project.photos;
+    state.range = project.range || null;
+    state.compareYears = project.compareYears || null;
+    state.timezone = project.timezone || null;
+    // Projects from before event grouping get the default
+    state.eventGrouping = project.eventGrouping !== undefined
+        ? project.eventGrouping
+        : { ...DEFAULT_EVENT_GROUPING };
+    state.mapTiles = project.mapTiles || null;
+    state.tagFilter = project.tagFilter || { ...DEFAULT_TAG_FILTER };
+    state.orientation = project.orientation || 'horizontal';
+    state.curveLayers = project.curveLayers || createDefaultCurveLayers();
+    state.activeCurveLayerId = project.activeCurveLayerId ?? null;
+
+    if (project.view === 'timeline' && state.photos.length > 0 && state.range) {
+        showTimelineView();
+    } else {
+        state.view = 'upload';
+        elements.timelineSection.style.display = 'none';
+        elements.uploadSection.style.display = 'block';
+        updatePhotoGrid();
+    }
+}
+
+async function openProjectFile(file) {
+    if (state.photos.length > 0 &&
+        !confirm('현재 작업 중인 내용을 프로젝트 파일로 대체하시겠습니까?')) {
+        return;
+    }
+
+    try {
+        const project = await readProjectFile(file);
+        applyProject({
+            ...project,
+            view: project.range ? 'timeline' : 'upload',
+        });
+        scheduleAutosave();
+    } catch (error) {
+        console.error('Error opening project file:', file.name, error);
+        alert(`프로젝트 파일을 열 수 없습니다.\n${error.message}`);
+    }
+}
+
+elements.saveProjectButton.addEventListener('click', () => {
+    saveProjectFile().catch(error => {
+        console.error('Error saving project file:', error);
+        alert('프로젝트 파일을 저장하지 못했습니다.');
+    });
+});
+
+[elements.openProjectButton, elements.timelineOpenProjectButton].forEach(button => {
+    button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        elements.projectFileInput.click();
+    });
+});
+
+elements.projectFileInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) {
+        openProjectFile(file);
     }
 });
 
+// ==================== Restore Saved Project ====================
+async function restoreSavedProject() {
+    const saved = await loadSavedProject();
+    if (!saved) return;
+
+    const { project, blobsById, thumbnailsById } = saved;
+    applyProject({
+        ...project,
+        photos: await restorePhotos(project.photos || [], blobsById, thumbnailsById),
+    });
+
+    console.log(`Restored saved project (${state.photos.length} photos)`);
+}
+
 // ==================== Initialize ====================
+restoreSavedProject()
+    .catch(error => {
+        console.error('Failed to restore saved project:', error);
+    })
+    .finally(() => {
+        // Only start autosaving after restore so an empty state never overwrites the saved project
+        enableAutosave();
+    });
+
 console.log('Life Curve App initialized');
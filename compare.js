@@ -0,0 +1,166 @@
+// ==================== Year Comparison View ====================
+// state.compareYears is null (normal timeline) or the years to overlay.
+// Each year's curve (of the active curve layer) is mapped onto one shared
+// January–December axis so the arcs of different years line up month by month.
+const COMPARE_REFERENCE_YEAR = 2000; // leap year, so Feb 29 has a place on the axis
+const COMPARE_COLORS = [
+    { color: 'rgba(247, 185, 128, 0.95)', glowColor: 'rgba(237, 152, 80, 0.5)' },
+    { color: 'rgba(111, 179, 224, 0.9)', glowColor: 'rgba(111, 179, 224, 0.35)' },
+    { color: 'rgba(143, 214, 148, 0.9)', glowColor: 'rgba(143, 214, 148, 0.35)' },
+    { color: 'rgba(217, 138, 207, 0.9)', glowColor: 'rgba(217, 138, 207, 0.35)' },
+    { color: 'rgba(242, 209, 107, 0.9)', glowColor: 'rgba(242, 209, 107, 0.35)' },
+    { color: 'rgba(184, 197, 214, 0.9)', glowColor: 'rgba(184, 197, 214, 0.3)' },
+];
+
+function isCompareMode() {
+    return Array.isArray(state.compareYears) && state.compareYears.length > 0;
+}
+
+// Most recent year gets the accent colour, earlier years the following ones
+function getCompareYearStyle(year) {
+    const newestFirst = [...state.compareYears].sort((a, b) => b - a);
+    return COMPARE_COLORS[newestFirst.indexOf(year) % COMPARE_COLORS.length];
+}
+
+// Default selection: the latest two years with data
+function getDefaultCompareYears() {
+    return getDataYears().slice(-2);
+}
+
+function getCompareLayout() {
+    return createTimelineLayout(
+        state.orientation, canvasWidth, canvasHeight, getYearRange(COMPARE_REFERENCE_YEAR)
+    );
+}
+
+// Same month, day and time of day in the reference year
+function toReferenceYearTime(time) {
+    const date = new Date(time);
+    date.setFullYear(COMPARE_REFERENCE_YEAR);
+    return date.getTime();
+}
+
+// Emotion of a sampled curve at a time, by linear interpolation between samples
+function sampleEmotionAt(samples, time) {
+    for (let i = 1; i < samples.length; i++) {
+        if (samples[i].time >= time) {
+            const a = samples[i - 1];
+            const b = samples[i];
+            const t = b.time === a.time ? 0 : (time - a.time) / (b.time - a.time);
+            return a.emotion + (b.emotion - a.emotion) * t;
+        }
+    }
+    return samples[samples.length - 1].emotion;
+}
+
+// The active curve layer's samples within one year, mapped onto the reference year
+function getYearCurveSamples(year) {
+    const { start, end } = getYearRange(year);
+    const layer = getActiveCurveLayer();
+
+    if (layer === getAutoCurveLayer()) {
+        return buildAutoCurvePoints({ start, end })
+            .map(point => ({ time: toReferenceYearTime(point.time), emotion: point.emotion }));
+    }
+
+    const samples = interpolateMonotone(layer.points);
+    if (samples.length < 2) return [];
+
+    const first = samples[0].time;
+    const last = samples[samples.length - 1].time;
+    const from = Math.max(start, first);
+    const to = Math.min(end - 1, last);
+    if (from >= to) return [];
+
+    // Cut the curve at the year boundaries so it reaches Jan 1 and Dec 31
+    const inside = samples.filter(point => point.time > from && point.time < to);
+    return [
+        { time: from, emotion: sampleEmotionAt(samples, from) },
+        ...inside,
+        { time: to, emotion: sampleEmotionAt(samples, to) },
+    ].map(point => ({ time: toReferenceYearTime(point.time), emotion: point.emotion }));
+}
+
+// ==================== Render Comparison ====================
+// Draws inside the zoom/pan transform, in place of the regular timeline
+function renderComparison() {
+    const layout = getCompareLayout();
+
+    // Photos are shown as dots only, so none of them can be hovered or dragged
+    state.photos.forEach(photo => {
+        delete photo.timelineX;
+        delete photo.timelineY;
+    });
+
+    if (layout.orientation === 'horizontal') {
+        drawHorizontalAxis(layout);
+    } else {
+        drawVerticalAxis(layout);
+    }
+
+    // Oldest first so the most recent year ends up on top
+    [...state.compareYears].sort((a, b) => a - b).forEach(year => {
+        const style = getCompareYearStyle(year);
+
+        drawCurve(getYearCurveSamples(year), { layout, lineWidth: 3, ...style });
+        drawComparePhotoDots(year, layout, style.color);
+    });
+}
+
+function drawComparePhotoDots(year, layout, color) {
+    ctx.save();
+    ctx.fillStyle = color;
+    ctx.strokeStyle = 'rgba(0, 31, 63, 0.9)';
+    ctx.lineWidth = 1.5;
+
+    state.photos
+        .filter(photo => photo.hasValidDate !== false && getPhotoDisplayDate(photo).getFullYear() === year)
+        .forEach(photo => {
+            const { x, y } = projectPoint(
+                toReferenceYearTime(getPhotoTime(photo)), photo.emotion || 0, layout
+            );
+            ctx.beginPath();
+            ctx.arc(x, y, 4, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        });
+
+    ctx.restore();
+}
+
+// Legend in the top-right corner (not affected by zoom/pan)
+function drawCompareLegend() {
+    const years = [...state.compareYears].sort((a, b) => b - a);
+    const rowHeight = 20;
+    const right = getFrameSize().width - 30;
+    const top = 30;
+
+    ctx.save();
+    ctx.font = '12px Inter, sans-serif';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+
+    years.forEach((year, index) => {
+        const y = top + index * rowHeight;
+        const { color } = getCompareYearStyle(year);
+
+        ctx.fillStyle = getTimelinePalette().title;
+        ctx.fillText(`${year}년`, right, y);
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(right - 70, y);
+        ctx.lineTo(right - 46, y);
+        ctx.stroke();
+    });
+
+    ctx.restore();
+}
+
+// Names the compared curve once there is more than one
+function getCompareLabel() {
+    const label = `${[...state.compareYears].sort((a, b) => a - b).join(' · ')} 비교`;
+    return state.curveLayers.length > 1 ? `${label} · ${getActiveCurveLayer().name}` : label;
+}
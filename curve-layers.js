@@ -0,0 +1,125 @@
+// ==================== Curve Layers ====================
+// state.curveLayers holds the curves charted on one timeline ("감정", "건강",
+// "일" ...), drawn in list order so the last one ends up on top:
+//   { id, name, color, visible, mode, points }
+// `color` is '#rrggbb'; `mode` is 'manual' (control points drawn by hand) or
+// 'auto' (generated from photo emotions, see getAutoCurveKnots). Photos have a
+// single emotion level each, so only one layer at a time is 'auto'.
+// state.activeCurveLayerId is the layer that drawing, the auto curve button
+// and the year comparison work on. There is always at least one layer.
+const CURVE_LAYER_COLORS = ['#F7B980', '#6FB3E0', '#8FD694', '#D98ACF', '#F2D16B', '#B8C5D6'];
+const DEFAULT_CURVE_LAYER_NAME = '감정';
+const CURVE_MODES = ['manual', 'auto'];
+
+function createCurveLayer({ name, color, mode = 'manual', points = [] }) {
+    return {
+        id: Date.now() + Math.random(),
+        name,
+        color,
+        visible: true,
+        mode,
+        points,
+    };
+}
+
+// The single curve of projects from before layers
+function createDefaultCurveLayers(points = [], mode = 'manual') {
+    return [createCurveLayer({ name: DEFAULT_CURVE_LAYER_NAME, color: CURVE_LAYER_COLORS[0], mode, points })];
+}
+
+function isValidCurveColor(color) {
+    return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color);
+}
+
+function isValidCurveLayer(layer) {
+    return Boolean(layer) && typeof layer === 'object' &&
+        typeof layer.name === 'string' &&
+        isValidCurveColor(layer.color) &&
+        typeof layer.visible === 'boolean' &&
+        CURVE_MODES.includes(layer.mode) &&
+        isPointList(layer.points, 'time', 'emotion');
+}
+
+function getActiveCurveLayer() {
+    return state.curveLayers.find(layer => layer.id === state.activeCurveLayerId) || state.curveLayers[0];
+}
+
+// The layer drawn from the photos, or null. Should an undo leave two layers
+// 'auto', the first one keeps the photo curve and the other shows its points.
+function getAutoCurveLayer() {
+    return state.curveLayers.find(layer => layer.mode === 'auto') || null;
+}
+
+// First palette colour no layer uses yet
+function getNextCurveLayerColor() {
+    const used = new Set(state.curveLayers.map(layer => layer.color.toUpperCase()));
+    return CURVE_LAYER_COLORS.find(color => !used.has(color)) ||
+        CURVE_LAYER_COLORS[state.curveLayers.length % CURVE_LAYER_COLORS.length];
+}
+
+// '#F7B980', 0.8 -> 'rgba(247, 185, 128, 0.8)'
+function getCurveColor(color, alpha) {
+    const [r, g, b] = [1, 3, 5].map(index => parseInt(color.slice(index, index + 2), 16));
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+// drawCurve options for a layer
+function getCurveLayerStyle(layer) {
+    return {
+        color: getCurveColor(layer.color, 0.8),
+        glowColor: getCurveColor(layer.color, 0.5),
+    };
+}
+
+// Sampled spline of a layer, over `range` for the auto curve
+function getCurveLayerSamples(layer, range) {
+    return layer === getAutoCurveLayer()
+        ? buildAutoCurvePoints(range)
+        : interpolateMonotone(layer.points);
+}
+
+// What the timeline draws, bottom layer first: [{ layer, points }]
+function getDisplayedCurveLayers() {
+    return state.curveLayers
+        .filter(layer => layer.visible)
+        .map(layer => ({ layer, points: getCurveLayerSamples(layer) }))
+        .filter(({ points }) => points.length > 1);
+}
+
+// ==================== Legend ====================
+// Drawn once a project has more than one curve: the visible layers, top layer
+// first, in the top-right corner (not affected by zoom/pan)
+function getCurveLegendLayers() {
+    if (state.curveLayers.length < 2) return [];
+    return state.curveLayers.filter(layer => layer.visible).reverse();
+}
+
+function drawCurveLegend() {
+    const rowHeight = 20;
+    const right = getFrameSize().width - 30;
+    const top = 30;
+
+    ctx.save();
+    ctx.font = '12px Inter, sans-serif';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+
+    getCurveLegendLayers().forEach((layer, index) => {
+        const y = top + index * rowHeight;
+        const name = layer.name || '이름 없음';
+
+        ctx.fillStyle = getTimelinePalette().title;
+        ctx.fillText(name, right, y);
+
+        const lineEnd = right - ctx.measureText(name).width - 10;
+        ctx.strokeStyle = getCurveLayerStyle(layer).color;
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(lineEnd - 24, y);
+        ctx.lineTo(lineEnd, y);
+        ctx.stroke();
+    });
+
+    ctx.restore();
+}
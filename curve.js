@@ -0,0 +1,177 @@
+// ==================== Curve Math ====================
+// All functions work in timeline space: { time, emotion }.
+const CURVE_SAMPLES_PER_SEGMENT = 16;
+
+// Merge points at the same time into one knot with the average emotion
+function mergeSameTimePoints(points) {
+    const merged = [];
+
+    points.forEach(point => {
+        const last = merged[merged.length - 1];
+        if (last && last.time === point.time) {
+            last.count++;
+            last.total += point.emotion;
+            last.emotion = last.total / last.count;
+        } else {
+            merged.push({ time: point.time, emotion: point.emotion, total: point.emotion, count: 1 });
+        }
+    });
+
+    return merged.map(point => ({ time: point.time, emotion: point.emotion }));
+}
+
+// Monotone cubic interpolation (Fritsch–Carlson) through knots sorted by day.
+// Unlike a plain cubic spline it never overshoots between two photos.
+function interpolateMonotone(points, samplesPerSegment = CURVE_SAMPLES_PER_SEGMENT) {
+    const knots = mergeSameTimePoints([...points].sort((a, b) => a.time - b.time));
+    const n = knots.length;
+    if (n < 2) return knots;
+
+    // Secant slopes between neighbouring knots
+    const deltas = [];
+    for (let i = 0; i < n - 1; i++) {
+        deltas.push((knots[i + 1].emotion - knots[i].emotion) / (knots[i + 1].time - knots[i].time));
+    }
+
+    // Initial tangents
+    const tangents = [deltas[0]];
+    for (let i = 1; i < n - 1; i++) {
+        tangents.push(deltas[i - 1] * deltas[i] <= 0 ? 0 : (deltas[i - 1] + deltas[i]) / 2);
+    }
+    tangents.push(deltas[n - 2]);
+
+    // Limit tangents to preserve monotonicity
+    for (let i = 0; i < n - 1; i++) {
+        if (deltas[i] === 0) {
+            tangents[i] = 0;
+            tangents[i + 1] = 0;
+            continue;
+        }
+        const a = tangents[i] / deltas[i];
+        const b = tangents[i + 1] / deltas[i];
+        const s = a * a + b * b;
+        if (s > 9) {
+            const t = 3 / Math.sqrt(s);
+            tangents[i] = t * a * deltas[i];
+            tangents[i + 1] = t * b * deltas[i];
+        }
+    }
+
+    // Sample the Hermite segments
+    const samples = [];
+    for (let i = 0; i < n - 1; i++) {
+        const p0 = knots[i];
+        const p1 = knots[i + 1];
+        const h = p1.time - p0.time;
+
+        for (let step = 0; step < samplesPerSegment; step++) {
+            const t = step / samplesPerSegment;
+            const t2 = t * t;
+            const t3 = t2 * t;
+            const emotion = (2 * t3 - 3 * t2 + 1) * p0.emotion +
+                (t3 - 2 * t2 + t) * h * tangents[i] +
+                (-2 * t3 + 3 * t2) * p1.emotion +
+                (t3 - t2) * h * tangents[i + 1];
+            samples.push({ time: p0.time + h * t, emotion: clampEmotion(emotion) });
+        }
+    }
+    samples.push({ ...knots[n - 1] });
+
+    return samples;
+}
+
+// ==================== Stroke Simplification ====================
+// Ramer–Douglas–Peucker simplification of a canvas-space polyline
+function simplifyPath(points, tolerance) {
+    if (points.length < 3) return [...points];
+
+    const keep = new Array(points.length).fill(false);
+    keep[0] = true;
+    keep[points.length - 1] = true;
+
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        const a = points[first];
+        const b = points[last];
+        const length = Math.hypot(b.x - a.x, b.y - a.y);
+
+        let maxDistance = 0;
+        let maxIndex = -1;
+        for (let i = first + 1; i < last; i++) {
+            const p = points[i];
+            const distance = length === 0
+                ? Math.hypot(p.x - a.x, p.y - a.y)
+                : Math.abs((b.x - a.x) * (a.y - p.y) - (a.x - p.x) * (b.y - a.y)) / length;
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                maxIndex = i;
+            }
+        }
+
+        if (maxDistance > tolerance) {
+            keep[maxIndex] = true;
+            stack.push([first, maxIndex], [maxIndex, last]);
+        }
+    }
+
+    return points.filter((_, i) => keep[i]);
+}
+
+// Reduce a freehand stroke (timeline space) to a handful of control points.
+// Simplification runs on projected pixels so the tolerance matches what the user sees.
+function simplifyStroke(stroke, layout, tolerance) {
+    const projected = stroke.map(point => projectPoint(point.time, point.emotion, layout));
+
+    return simplifyPath(projected, tolerance).map(point => {
+        const { time, emotion } = unprojectPoint(point.x, point.y, layout);
+        return { time: Math.max(layout.start, Math.min(layout.end, time)), emotion };
+    });
+}
+
+// A new stroke replaces the control points inside the date range it covers
+function mergeStrokeIntoCurve(controlPoints, strokePoints) {
+    if (strokePoints.length === 0) return controlPoints;
+
+    const times = strokePoints.map(point => point.time);
+    const start = Math.min(...times);
+    const end = Math.max(...times);
+    const kept = controlPoints.filter(point => point.time < start || point.time > end);
+
+    return mergeSameTimePoints([...kept, ...strokePoints].sort((a, b) => a.time - b.time));
+}
+
+// Projects saved before control points existed hold the raw drawn point stream
+function convertPointStreamToControlPoints(points, orientation, year) {
+    const range = getYearRange(year);
+    const layout = orientation === 'horizontal'
+        ? createTimelineLayout(orientation, 1200, 450, range)
+        : createTimelineLayout(orientation, 800, 800, range);
+
+    return mergeSameTimePoints(
+        simplifyStroke(points, layout, 4).sort((a, b) => a.time - b.time)
+    );
+}
+
+// ==================== Auto Curve ====================
+// Knots for the auto curve: the emotion of every dated photo in the range, ordered by capture date.
+// When the tag filter applies to the curve, only the matching photos count.
+function getAutoCurveKnots(range = resolveTimelineRange()) {
+    const { start, end } = range;
+
+    return state.photos
+        .filter(photo => photo.hasValidDate !== false)
+        .filter(photo => !isCurveFiltered() || matchesTagFilter(photo))
+        .map(photo => ({ time: getPhotoTime(photo), emotion: photo.emotion || 0 }))
+        .filter(point => point.time >= start && point.time < end)
+        .sort((a, b) => a.time - b.time);
+}
+
+function buildAutoCurvePoints(range) {
+    return interpolateMonotone(getAutoCurveKnots(range));
+}
+
+// Control points matching the auto curve, for converting it into an editable curve
+function getAutoCurveControlPoints() {
+    return mergeSameTimePoints(getAutoCurveKnots());
+}
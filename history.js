@@ -0,0 +1,219 @@
+// ==================== Edit History (Undo / Redo) ====================
+// A command is { label, apply(), revert() }. apply() runs on execute and on redo.
+const HISTORY_LIMIT = 100;
+
+const undoStack = [];
+const redoStack = [];
+
+// Run a command and record it
+function executeCommand(command) {
+    command.apply();
+    recordCommand(command);
+}
+
+// Record a command whose change has already been made (drags, strokes).
+// Consecutive commands with the same mergeKey collapse into one step.
+function recordCommand(command) {
+    const last = undoStack[undoStack.length - 1];
+
+    if (command.mergeKey && last && last.mergeKey === command.mergeKey && redoStack.length === 0) {
+        last.after = command.after;
+    } else {
+        undoStack.push(command);
+        if (undoStack.length > HISTORY_LIMIT) {
+            undoStack.shift();
+        }
+    }
+
+    redoStack.length = 0;
+    handleHistoryChange();
+}
+
+function undo() {
+    const command = undoStack.pop();
+    if (!command) return;
+
+    command.revert();
+    redoStack.push(command);
+    handleHistoryChange();
+}
+
+function redo() {
+    const command = redoStack.pop();
+    if (!command) return;
+
+    command.apply();
+    undoStack.push(command);
+    handleHistoryChange();
+}
+
+function clearHistory() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+}
+
+function handleHistoryChange() {
+    refreshProjectViews();
+    scheduleAutosave();
+}
+
+// ==================== Commands ====================
+// Arrays of points are copied so later in-place edits never leak into history
+function assignProperties(target, values) {
+    Object.keys(values).forEach(key => {
+        const value = values[key];
+        if (value === undefined) {
+            delete target[key];
+        } else {
+            target[key] = Array.isArray(value) ? value.map(item => ({ ...item })) : value;
+        }
+    });
+}
+
+// Set properties on an object (a photo, or state itself) from before to after
+function createPropertyCommand(label, target, before, after, mergeKey = null) {
+    return {
+        label,
+        mergeKey,
+        before,
+        after,
+        apply() {
+            assignProperties(target, this.after);
+        },
+        revert() {
+            assignProperties(target, this.before);
+        },
+    };
+}
+
+// Current values of the properties about to change
+function snapshotProperties(target, after) {
+    const before = {};
+    Object.keys(after).forEach(key => {
+        const value = target[key];
+        before[key] = Array.isArray(value) ? value.map(item => ({ ...item })) : value;
+    });
+    return before;
+}
+
+// Snapshot the current values of the changed properties and apply the change
+function changeProperties(label, target, after, mergeKey = null) {
+    executeCommand(createPropertyCommand(label, target, snapshotProperties(target, after), after, mergeKey));
+}
+
+// Change properties on several objects as one undo step.
+// changes: [{ target, after }]
+function changePropertiesBatch(label, changes) {
+    executeCommand(createBatchCommand(label, changes.map(({ target, after }) =>
+        createPropertyCommand(label, target, snapshotProperties(target, after), after)
+    )));
+}
+
+// Several commands as one undo step
+function createBatchCommand(label, commands) {
+    return {
+        label,
+        apply() {
+            commands.forEach(command => command.apply());
+        },
+        revert() {
+            commands.forEach(command => command.revert());
+        },
+    };
+}
+
+function createAddPhotosCommand(photos) {
+    const ids = new Set(photos.map(photo => photo.id));
+
+    return {
+        label: '사진 추가',
+        apply() {
+            state.photos.push(...photos);
+        },
+        revert() {
+            state.photos = state.photos.filter(photo => !ids.has(photo.id));
+            releasePhotoImages(photos);
+        },
+    };
+}
+
+// replacements: [{ before, after }]; each new photo takes the old one's place
+function createReplacePhotosCommand(replacements) {
+    const swap = (from, to) => {
+        replacements.forEach(pair => {
+            const index = state.photos.indexOf(pair[from]);
+            if (index !== -1) state.photos[index] = pair[to];
+        });
+        releasePhotoImages(replacements.map(pair => pair[from]));
+    };
+
+    return {
+        label: '사진 교체',
+        apply() {
+            swap('before', 'after');
+        },
+        revert() {
+            swap('after', 'before');
+        },
+    };
+}
+
+function createRemovePhotosCommand(label, photos) {
+    const ids = new Set(photos.map(photo => photo.id));
+    // Remember positions so undo puts photos back where they were
+    const positions = photos.map(photo => state.photos.indexOf(photo));
+
+    return {
+        label,
+        apply() {
+            state.photos = state.photos.filter(photo => !ids.has(photo.id));
+            // Object URLs are made again if undo brings the photos back
+            releasePhotoImages(photos);
+        },
+        revert() {
+            photos
+                .map((photo, i) => ({ photo, index: positions[i] }))
+                .sort((a, b) => a.index - b.index)
+                .forEach(({ photo, index }) => state.photos.splice(index, 0, photo));
+        },
+    };
+}
+
+// Add, remove or reorder curve layers: `layers` is the new list. The layer
+// objects themselves are kept, so edits recorded against a layer still apply
+// to it after it is removed and brought back.
+function createCurveLayersCommand(label, layers) {
+    const before = [...state.curveLayers];
+    const after = [...layers];
+
+    return {
+        label,
+        apply() {
+            state.curveLayers = [...after];
+        },
+        revert() {
+            state.curveLayers = [...before];
+        },
+    };
+}
+
+// ==================== Keyboard Shortcuts ====================
+// Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac), plus Ctrl+Y for redo
+function handleHistoryShortcut(e) {
+    if (!e.ctrlKey && !e.metaKey) return false;
+    // Leave text fields to their native undo
+    if (e.target.closest && e.target.closest('input, textarea')) return false;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+        return true;
+    }
+    if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+        return true;
+    }
+    return false;
+}
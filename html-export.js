@@ -0,0 +1,630 @@
+// ==================== Interactive HTML Export ====================
+// Writes a single offline .html file: the timeline data is embedded as JSON and
+// drawn by lifeCurveViewer, which is serialized into the page with toString().
+// The viewer therefore must not reference anything outside its own body and
+// arguments; helpers it shares with the app are passed in the same way.
+
+const HTML_EXPORT_IMAGE_SIZE = 1600; // longest side in pixels
+const HTML_EXPORT_IMAGE_QUALITY = 0.85;
+
+// A photo as the viewer opens it large: a downscaled JPEG, or the original
+// where the browser can't decode it
+async function readExportImage(photo) {
+    try {
+        return await readBlobAsDataURL(
+            await renderThumbnail(photo.file, HTML_EXPORT_IMAGE_SIZE, HTML_EXPORT_IMAGE_QUALITY));
+    } catch (error) {
+        console.warn('Could not downscale photo for export, embedding the original:', photo.name, error);
+        return readBlobAsDataURL(photo.file);
+    }
+}
+
+// Everything the viewer needs, already resolved to timeline space. Photos
+// hidden by the tag filter are left out, as on the timeline. Images are made
+// one at a time so only one full-size photo is decoded at once.
+async function buildInteractiveTimelineData() {
+    const layout = getTimelineLayout();
+    // A very wide axis makes getMonthTicks keep every month; the viewer thins them by zoom
+    const everyMonth = { ...layout, axisStart: 0, axisEnd: 1e6 };
+
+    const photos = [];
+    const shownPhotos = getFilteredPhotos(state.photos)
+        .filter(photo => photo.hasValidDate !== false && isTimeInLayout(getPhotoTime(photo), layout))
+        .sort((a, b) => getPhotoTime(a) - getPhotoTime(b));
+    for (const photo of shownPhotos) {
+        photos.push({
+            name: photo.name,
+            date: formatDate(getPhotoDisplayDate(photo)),
+            time: getPhotoTime(photo),
+            emotion: photo.emotion || 0,
+            level: calculateEmotionLevel(photo),
+            label: photo.label || '',
+            image: await readExportImage(photo),
+        });
+    }
+
+    return {
+        title: getRangeLabel(),
+        exportedAt: formatDate(new Date()),
+        orientation: state.orientation,
+        start: layout.start,
+        end: layout.end,
+        months: getMonthTicks(everyMonth).map(tick => ({
+            time: tick.time,
+            label: tick.label,
+            month: MONTH_LABELS.indexOf(tick.label),
+        })),
+        years: getYearSegments(layout),
+        curves: getDisplayedCurveLayers().map(({ layer, points }) => ({ ...getCurveLayerStyle(layer), points })),
+        legend: getCurveLegendLayers().map(layer => ({
+            name: layer.name || '이름 없음',
+            color: getCurveLayerStyle(layer).color,
+        })),
+        photos,
+    };
+}
+
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function buildInteractiveHTML(data) {
+    // "<" is escaped so labels can never close the script tag
+    const json = JSON.stringify(data).replace(/</g, '\\u003c');
+    const title = `Life Curve · ${escapeHTML(data.title)}`;
+
+    return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title}</title>
+<style>
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    body { background: #001F3F; color: #E6E6E6; font-family: 'Inter', 'Noto Sans KR', -apple-system, sans-serif; }
+    header { display: flex; align-items: center; justify-content: space-between; gap: 16px; padding: 16px 24px; }
+    header h1 { font-size: 18px; font-weight: 600; }
+    header p { font-size: 12px; color: #8A9AB0; }
+    .toolbar { display: flex; align-items: center; gap: 6px; }
+    .toolbar button { width: 32px; height: 32px; border: 1px solid rgba(230, 230, 230, 0.15); border-radius: 6px;
+        background: #00355C; color: #E6E6E6; font-size: 16px; cursor: pointer; }
+    .toolbar button:hover { border-color: #ED9850; }
+    .toolbar span { min-width: 48px; text-align: center; font-size: 12px; color: #B8C5D6; }
+    #stage { margin: 0 24px 24px; border: 1px solid rgba(230, 230, 230, 0.15); border-radius: 8px; overflow: hidden;
+        display: flex; justify-content: center; background: #002A54; }
+    canvas { display: block; touch-action: none; cursor: grab; }
+    .modal { position: fixed; inset: 0; display: none; align-items: center; justify-content: center; z-index: 10; }
+    .modal.active { display: flex; }
+    .modal-backdrop { position: absolute; inset: 0; background: rgba(0, 0, 0, 0.8); }
+    .modal-content { position: relative; max-width: min(90vw, 900px); max-height: 90vh; display: flex; flex-direction: column;
+        background: #002A54; border: 1px solid rgba(230, 230, 230, 0.15); border-radius: 12px; overflow: hidden; }
+    .modal-content img { max-width: 100%; max-height: 70vh; object-fit: contain; background: #001F3F; }
+    .modal-info { padding: 16px 20px; }
+    .modal-info h3 { font-size: 18px; margin-bottom: 4px; }
+    .modal-info .label { color: #F7B980; font-weight: 600; margin-bottom: 4px; }
+    .modal-info .meta { font-size: 12px; color: #8A9AB0; }
+    .modal-close { position: absolute; top: 8px; right: 8px; width: 32px; height: 32px; border: none; border-radius: 50%;
+        background: rgba(0, 0, 0, 0.5); color: white; font-size: 18px; cursor: pointer; }
+</style>
+</head>
+<body>
+<header>
+    <div>
+        <h1>${title}</h1>
+        <p>휠로 확대/축소 · 드래그로 이동 · 사진을 클릭하면 크게 보기 · ${escapeHTML(data.exportedAt)} 내보냄</p>
+    </div>
+    <div class="toolbar">
+        <button type="button" id="zoomOut" title="축소">−</button>
+        <span id="zoomValue">100%</span>
+        <button type="button" id="zoomIn" title="확대">+</button>
+        <button type="button" id="zoomReset" title="원래 크기">⟲</button>
+    </div>
+</header>
+<div id="stage"><canvas id="timeline"></canvas></div>
+<div class="modal" id="modal">
+    <div class="modal-backdrop"></div>
+    <div class="modal-content">
+        <button type="button" class="modal-close" title="닫기">×</button>
+        <img id="modalImage" alt="">
+        <div class="modal-info">
+            <h3 id="modalDate"></h3>
+            <p class="label" id="modalLabel"></p>
+            <p class="meta" id="modalMeta"></p>
+        </div>
+    </div>
+</div>
+<script>
+(${lifeCurveViewer.toString()})(${json}, ${spreadAlongAxis.toString()});
+</script>
+</body>
+</html>
+`;
+}
+
+async function exportInteractiveHTML() {
+    const html = buildInteractiveHTML(await buildInteractiveTimelineData());
+    const blob = new Blob([html], { type: 'text/html' });
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    const timestamp = new Date().toISOString().slice(0, 10);
+    link.download = `life-curve-${getRangeFileLabel()}-${timestamp}.html`;
+    link.href = url;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// ==================== Viewer (runs inside the exported page) ====================
+// spreadAlongAxis is passed in so photos are laid out as in the app
+function lifeCurveViewer(data, spreadAlongAxis) {
+    const PADDING = 80;
+    const MAX_EMOTION = 10;
+    const PHOTO_SIZE = 60;
+    const PHOTO_SPACING = PHOTO_SIZE + 6;
+    const MIN_ZOOM = 0.5;
+    const MAX_ZOOM = 5;
+
+    const stage = document.getElementById('stage');
+    const canvas = document.getElementById('timeline');
+    const ctx = canvas.getContext('2d');
+    const zoomValue = document.getElementById('zoomValue');
+    const modal = document.getElementById('modal');
+    const isHorizontal = data.orientation === 'horizontal';
+
+    let width = 0;
+    let height = 0;
+    let pixelRatio = 1;
+    let zoom = 1;
+    let panX = 0;
+    let panY = 0;
+    let hovered = null;
+    let drag = null;
+    let frame = 0;
+
+    data.photos.forEach(photo => {
+        photo.img = new Image();
+        photo.img.onload = requestRender;
+        photo.img.src = photo.image;
+    });
+
+    // ---------- Layout ----------
+    function getLayout() {
+        return isHorizontal
+            ? { axisStart: PADDING, axisEnd: width - PADDING, axisCenter: height / 2, emotionRange: height / 4 }
+            : { axisStart: PADDING, axisEnd: height - PADDING, axisCenter: width / 2, emotionRange: width / 4 };
+    }
+
+    function project(time, emotion, layout) {
+        const along = layout.axisStart +
+            (layout.axisEnd - layout.axisStart) * (time - data.start) / (data.end - data.start);
+        const across = (emotion / MAX_EMOTION) * layout.emotionRange;
+        return isHorizontal
+            ? { x: along, y: layout.axisCenter - across }
+            : { x: layout.axisCenter + across, y: along };
+    }
+
+    // Photos are in date order, the order the app lays them out in
+    function placePhotos(layout) {
+        const anchors = data.photos.map(photo => project(photo.time, photo.emotion, layout));
+        const spread = spreadAlongAxis(anchors.map(point => (isHorizontal
+            ? { along: point.x, across: point.y }
+            : { along: point.y, across: point.x })), PHOTO_SPACING);
+
+        data.photos.forEach((photo, index) => {
+            photo.anchor = anchors[index];
+            photo.x = isHorizontal ? spread[index] : anchors[index].x;
+            photo.y = isHorizontal ? anchors[index].y : spread[index];
+        });
+    }
+
+    function resize() {
+        pixelRatio = window.devicePixelRatio || 1;
+        width = isHorizontal ? stage.clientWidth : Math.min(stage.clientWidth, 800);
+        height = isHorizontal ? 450 : 800;
+        canvas.width = width * pixelRatio;
+        canvas.height = height * pixelRatio;
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+        render();
+    }
+
+    function requestRender() {
+        if (frame) return;
+        frame = requestAnimationFrame(() => {
+            frame = 0;
+            render();
+        });
+    }
+
+    // ---------- Drawing ----------
+    function roundRect(x, y, w, h, r) {
+        ctx.beginPath();
+        ctx.moveTo(x + r, y);
+        ctx.arcTo(x + w, y, x + w, y + h, r);
+        ctx.arcTo(x + w, y + h, x, y + h, r);
+        ctx.arcTo(x, y + h, x, y, r);
+        ctx.arcTo(x, y, x + w, y, r);
+        ctx.closePath();
+    }
+
+    function drawAxis(layout) {
+        const center = layout.axisCenter;
+        const line = (x1, y1, x2, y2) => {
+            ctx.beginPath();
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(x2, y2);
+            ctx.stroke();
+        };
+        const along = (a, b, offset) => (isHorizontal ? [a, center + offset, b, center + offset] : [center + offset, a, center + offset, b]);
+
+        ctx.strokeStyle = 'rgba(230, 230, 230, 0.3)';
+        ctx.lineWidth = 2;
+        line(...along(layout.axisStart, layout.axisEnd, 0));
+
+        // Thin the month ticks out when zoomed out, as the app does
+        const monthCount = (data.end - data.start) / (1000 * 60 * 60 * 24 * 30.44);
+        const pixelsPerMonth = (layout.axisEnd - layout.axisStart) * zoom / monthCount;
+        const step = pixelsPerMonth >= 28 ? 1 : pixelsPerMonth >= 10 ? 3 : 0;
+
+        ctx.font = '12px Inter, sans-serif';
+        ctx.fillStyle = 'rgba(230, 230, 230, 0.8)';
+        ctx.textAlign = isHorizontal ? 'center' : 'right';
+        data.months.forEach(tick => {
+            if (step === 0 || tick.month % step !== 0) return;
+            const { x, y } = project(tick.time, 0, layout);
+            if (isHorizontal) {
+                line(x, center - 10, x, center + 10);
+                ctx.fillText(tick.label, x, center + 30);
+            } else {
+                line(center - 10, y, center + 10, y);
+                ctx.fillText(tick.label, center - 20, y + 4);
+            }
+        });
+
+        data.years.forEach((segment, index) => {
+            const boundary = project(segment.start, 0, layout);
+            const label = project(segment.center, 0, layout);
+
+            if (index > 0) {
+                ctx.save();
+                ctx.strokeStyle = 'rgba(230, 230, 230, 0.25)';
+                ctx.setLineDash([4, 4]);
+                if (isHorizontal) {
+                    line(boundary.x, center - layout.emotionRange, boundary.x, center + layout.emotionRange);
+                } else {
+                    line(center - layout.emotionRange, boundary.y, center + layout.emotionRange, boundary.y);
+                }
+                ctx.restore();
+            }
+
+            ctx.save();
+            ctx.font = 'bold 13px Inter, sans-serif';
+            ctx.fillStyle = 'rgba(247, 185, 128, 0.9)';
+            if (isHorizontal) {
+                ctx.fillText(segment.year, label.x, center + 50);
+            } else {
+                ctx.fillText(segment.year, center - 60, label.y + 4);
+            }
+            ctx.restore();
+        });
+    }
+
+    function drawCurve(curve, layout) {
+        if (curve.points.length < 2) return;
+        const points = curve.points.map(point => project(point.time, point.emotion, layout));
+
+        ctx.save();
+        ctx.beginPath();
+        if (isHorizontal) {
+            ctx.rect(layout.axisStart, -height * 10, layout.axisEnd - layout.axisStart, height * 20);
+        } else {
+            ctx.rect(-width * 10, layout.axisStart, width * 20, layout.axisEnd - layout.axisStart);
+        }
+        ctx.clip();
+
+        ctx.strokeStyle = curve.color;
+        ctx.lineWidth = 4;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.shadowColor = curve.glowColor;
+        ctx.shadowBlur = 20;
+
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length - 1; i++) {
+            const xc = (points[i].x + points[i + 1].x) / 2;
+            const yc = (points[i].y + points[i + 1].y) / 2;
+            ctx.quadraticCurveTo(points[i].x, points[i].y, xc, yc);
+        }
+        ctx.lineTo(points[points.length - 1].x, points[points.length - 1].y);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    function drawLeaderLine(photo) {
+        if (Math.abs(photo.anchor.x - photo.x) < 1 && Math.abs(photo.anchor.y - photo.y) < 1) return;
+        ctx.strokeStyle = 'rgba(230, 230, 230, 0.3)';
+        ctx.fillStyle = 'rgba(230, 230, 230, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(photo.anchor.x, photo.anchor.y);
+        ctx.lineTo(photo.x, photo.y);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(photo.anchor.x, photo.anchor.y, 3, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    function drawPhoto(photo) {
+        const half = PHOTO_SIZE / 2;
+        const left = photo.x - half;
+        const top = photo.y - half;
+        const isHovered = hovered === photo;
+
+        ctx.save();
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+        ctx.shadowBlur = 10;
+        ctx.shadowOffsetY = 4;
+        roundRect(left, top, PHOTO_SIZE, PHOTO_SIZE, 8);
+        ctx.fillStyle = '#00355C';
+        ctx.fill();
+        ctx.restore();
+
+        if (photo.img.complete && photo.img.naturalWidth > 0) {
+            ctx.save();
+            roundRect(left, top, PHOTO_SIZE, PHOTO_SIZE, 8);
+            ctx.clip();
+            ctx.drawImage(photo.img, left, top, PHOTO_SIZE, PHOTO_SIZE);
+            ctx.restore();
+        }
+
+        ctx.strokeStyle = isHovered ? 'rgba(237, 152, 80, 0.9)' : 'rgba(230, 230, 230, 0.3)';
+        ctx.lineWidth = isHovered ? 3 : 2;
+        roundRect(left, top, PHOTO_SIZE, PHOTO_SIZE, 8);
+        ctx.stroke();
+
+        if (photo.label) {
+            ctx.font = '11px Inter, sans-serif';
+            const labelWidth = ctx.measureText(photo.label).width + 12;
+            ctx.fillStyle = 'rgba(0, 31, 63, 0.9)';
+            ctx.strokeStyle = 'rgba(237, 152, 80, 0.6)';
+            ctx.lineWidth = 1;
+            roundRect(photo.x - labelWidth / 2, photo.y + half + 5, labelWidth, 18, 4);
+            ctx.fill();
+            ctx.stroke();
+            ctx.fillStyle = '#E6E6E6';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(photo.label, photo.x, photo.y + half + 14);
+            ctx.textBaseline = 'alphabetic';
+        }
+    }
+
+    function drawTooltip(photo) {
+        const level = photo.level > 0 ? `+${photo.level}` : `${photo.level}`;
+        const text = `${photo.date} · 감정 ${level}`;
+
+        ctx.font = '12px Inter, sans-serif';
+        const boxWidth = ctx.measureText(text).width + 16;
+        const x = photo.x - boxWidth / 2;
+        const y = photo.y - PHOTO_SIZE / 2 - 34;
+
+        ctx.fillStyle = 'rgba(237, 152, 80, 0.95)';
+        roundRect(x, y, boxWidth, 24, 6);
+        ctx.fill();
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, photo.x, y + 12);
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    function drawEmotionScale(layout) {
+        if (!isHorizontal) return;
+        const x = width - 80;
+        const center = panY + layout.axisCenter * zoom;
+        const range = layout.emotionRange * zoom;
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x, center - range);
+        ctx.lineTo(x, center + range);
+        ctx.stroke();
+
+        ctx.font = '11px Inter, sans-serif';
+        ctx.textAlign = 'left';
+        [[10, '+10'], [0, '0'], [-10, '-10']].forEach(([value, text]) => {
+            const y = center - (value / MAX_EMOTION) * range;
+            ctx.beginPath();
+            ctx.moveTo(x - 5, y);
+            ctx.lineTo(x + 5, y);
+            ctx.stroke();
+            ctx.fillStyle = 'rgba(230, 230, 230, 0.6)';
+            ctx.fillText(text, x + 10, y + 4);
+        });
+    }
+
+    function drawLegend() {
+        ctx.font = '12px Inter, sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        data.legend.forEach((entry, index) => {
+            const y = 30 + index * 20;
+            const lineEnd = width - 30 - ctx.measureText(entry.name).width - 10;
+            ctx.fillStyle = 'rgba(230, 230, 230, 0.9)';
+            ctx.fillText(entry.name, width - 30, y);
+            ctx.strokeStyle = entry.color;
+            ctx.lineWidth = 3;
+            ctx.lineCap = 'round';
+            ctx.beginPath();
+            ctx.moveTo(lineEnd - 24, y);
+            ctx.lineTo(lineEnd, y);
+            ctx.stroke();
+        });
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    function render() {
+        const layout = getLayout();
+
+        ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+        const gradient = ctx.createLinearGradient(0, 0, width, height);
+        gradient.addColorStop(0, '#001F3F');
+        gradient.addColorStop(1, '#002A54');
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.save();
+        ctx.translate(panX, panY);
+        ctx.scale(zoom, zoom);
+
+        data.curves.forEach(curve => drawCurve(curve, layout));
+        drawAxis(layout);
+        placePhotos(layout);
+        data.photos.forEach(drawLeaderLine);
+        data.photos.forEach(drawPhoto);
+        if (hovered) {
+            drawTooltip(hovered);
+        }
+
+        ctx.restore();
+
+        ctx.font = 'bold 28px Inter, sans-serif';
+        ctx.fillStyle = 'rgba(230, 230, 230, 0.9)';
+        ctx.textAlign = isHorizontal ? 'left' : 'center';
+        ctx.fillText(data.title, isHorizontal ? 30 : width / 2, 45);
+        drawEmotionScale(layout);
+        drawLegend();
+
+        zoomValue.textContent = `${Math.round(zoom * 100)}%`;
+    }
+
+    // ---------- Interaction ----------
+    function toWorld(e) {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            screenX: e.clientX - rect.left,
+            screenY: e.clientY - rect.top,
+            x: (e.clientX - rect.left - panX) / zoom,
+            y: (e.clientY - rect.top - panY) / zoom,
+        };
+    }
+
+    // Topmost photo under the point
+    function findPhoto(x, y) {
+        const half = PHOTO_SIZE / 2;
+        for (let i = data.photos.length - 1; i >= 0; i--) {
+            const photo = data.photos[i];
+            if (Math.abs(x - photo.x) <= half && Math.abs(y - photo.y) <= half) {
+                return photo;
+            }
+        }
+        return null;
+    }
+
+    function zoomAt(screenX, screenY, nextZoom) {
+        nextZoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, nextZoom));
+        panX = screenX - (screenX - panX) / zoom * nextZoom;
+        panY = screenY - (screenY - panY) / zoom * nextZoom;
+        zoom = nextZoom;
+        requestRender();
+    }
+
+    function resetView() {
+        zoom = 1;
+        panX = 0;
+        panY = 0;
+        requestRender();
+    }
+
+    canvas.addEventListener('pointerdown', (e) => {
+        const point = toWorld(e);
+        drag = { lastX: point.screenX, lastY: point.screenY, startX: point.screenX, startY: point.screenY, moved: false };
+        canvas.setPointerCapture(e.pointerId);
+        canvas.style.cursor = 'grabbing';
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+        const point = toWorld(e);
+
+        if (drag) {
+            panX += point.screenX - drag.lastX;
+            panY += point.screenY - drag.lastY;
+            drag.lastX = point.screenX;
+            drag.lastY = point.screenY;
+            if (Math.hypot(point.screenX - drag.startX, point.screenY - drag.startY) > 4) {
+                drag.moved = true;
+            }
+            requestRender();
+            return;
+        }
+
+        const photo = findPhoto(point.x, point.y);
+        if (photo !== hovered) {
+            hovered = photo;
+            requestRender();
+        }
+        canvas.style.cursor = photo ? 'pointer' : 'grab';
+    });
+
+    canvas.addEventListener('pointerup', (e) => {
+        if (drag && !drag.moved) {
+            const point = toWorld(e);
+            const photo = findPhoto(point.x, point.y);
+            if (photo) openModal(photo);
+        }
+        drag = null;
+        canvas.style.cursor = hovered ? 'pointer' : 'grab';
+    });
+
+    canvas.addEventListener('pointerleave', () => {
+        if (hovered && !drag) {
+            hovered = null;
+            requestRender();
+        }
+    });
+
+    canvas.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const point = toWorld(e);
+        zoomAt(point.screenX, point.screenY, zoom * (e.deltaY > 0 ? 1 / 1.1 : 1.1));
+    }, { passive: false });
+
+    document.getElementById('zoomIn').addEventListener('click', () => zoomAt(width / 2, height / 2, zoom * 1.25));
+    document.getElementById('zoomOut').addEventListener('click', () => zoomAt(width / 2, height / 2, zoom / 1.25));
+    document.getElementById('zoomReset').addEventListener('click', resetView);
+
+    // ---------- Photo modal ----------
+    function openModal(photo) {
+        document.getElementById('modalImage').src = photo.image;
+        document.getElementById('modalImage').alt = photo.name;
+        document.getElementById('modalDate').textContent = photo.date;
+        document.getElementById('modalLabel').textContent = photo.label;
+        document.getElementById('modalMeta').textContent =
+            `${photo.name} · 감정 레벨 ${photo.level > 0 ? '+' : ''}${photo.level}`;
+        modal.classList.add('active');
+    }
+
+    function closeModal() {
+        modal.classList.remove('active');
+    }
+
+    modal.querySelector('.modal-backdrop').addEventListener('click', closeModal);
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            closeModal();
+        } else if (e.key === '0' && !modal.classList.contains('active')) {
+            resetView();
+        }
+    });
+
+    window.addEventListener('resize', resize);
+    resize();
+}
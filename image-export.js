@@ -0,0 +1,212 @@
+// ==================== Image Export (PNG) ====================
+// The timeline is redrawn off-screen at the target resolution (see
+// renderTimelineToCanvas) instead of copying the on-screen bitmap.
+// settings: {
+//     scope: 'full' | 'viewport' | 'range' | 'content', rangeStart, rangeEnd ('YYYY-MM-DD'),
+//     size: 'screen' | '2x' | '4x' | 'a3' | 'custom', width, dpi, background
+// }
+const SCREEN_DPI = 96;
+const A3_PRINT = { dpi: 300, long: 4961, short: 3508 }; // 420 × 297 mm at 300 DPI
+const MAX_EXPORT_SIDE = 16000;
+const MAX_EXPORT_PIXELS = 100000000; // stay well under browser canvas limits
+
+// Margins around cropped content; the title, legend and emotion scale are
+// drawn at fixed frame positions, so they get room of their own
+const EXPORT_PADDING = 30;
+const EXPORT_TITLE_SPACE = 70;
+const EXPORT_SCALE_SPACE = 100;
+
+// ==================== Export Scope ====================
+function padExportBounds(bounds) {
+    const legendSpace = isCompareMode() ? 40 + state.compareYears.length * 20 : 0;
+    const rightSpace = state.orientation === 'horizontal' ? EXPORT_SCALE_SPACE : EXPORT_PADDING;
+
+    return {
+        left: bounds.left - EXPORT_PADDING,
+        top: bounds.top - Math.max(EXPORT_TITLE_SPACE, legendSpace),
+        right: bounds.right + rightSpace,
+        bottom: bounds.bottom + EXPORT_PADDING,
+    };
+}
+
+// The view to render for the chosen scope; throws when there is nothing to export
+function getExportView(settings) {
+    switch (settings.scope) {
+        case 'viewport':
+            return getViewportView();
+        case 'range': {
+            if (!settings.rangeStart || !settings.rangeEnd || settings.rangeStart > settings.rangeEnd) {
+                throw new Error('내보낼 기간을 확인해주세요.');
+            }
+            const bounds = getContentBounds(resolveTimelineRange({
+                mode: 'custom', start: settings.rangeStart, end: settings.rangeEnd,
+            }));
+            if (!bounds) {
+                throw new Error('선택한 기간이 타임라인 범위 밖에 있습니다.');
+            }
+            return getRegionView(padExportBounds(bounds));
+        }
+        case 'content':
+            return getRegionView(padExportBounds(getContentBounds()));
+        default:
+            return getFullView();
+    }
+}
+
+// ==================== Export Size ====================
+// Scale factor, output pixel size and DPI for export settings and a view
+function getExportSize(settings, view) {
+    let scale;
+    let dpi;
+
+    switch (settings.size) {
+        case '2x':
+            scale = 2;
+            dpi = SCREEN_DPI * 2;
+            break;
+        case '4x':
+            scale = 4;
+            dpi = SCREEN_DPI * 4;
+            break;
+        case 'a3': {
+            // Fit the page in the orientation that matches the timeline
+            const [pageWidth, pageHeight] = view.width >= view.height
+                ? [A3_PRINT.long, A3_PRINT.short]
+                : [A3_PRINT.short, A3_PRINT.long];
+            scale = Math.min(pageWidth / view.width, pageHeight / view.height);
+            dpi = A3_PRINT.dpi;
+            break;
+        }
+        case 'custom':
+            scale = settings.width / view.width;
+            dpi = settings.dpi;
+            break;
+        default:
+            scale = 1;
+            dpi = SCREEN_DPI;
+    }
+
+    return {
+        scale,
+        dpi,
+        width: Math.round(view.width * scale),
+        height: Math.round(view.height * scale),
+    };
+}
+
+// Returns an error message, or null when the size can be rendered
+function validateExportSize(size) {
+    if (!Number.isFinite(size.scale) || size.width < 1 || size.height < 1) {
+        return '내보낼 크기를 확인해주세요.';
+    }
+    if (!Number.isFinite(size.dpi) || size.dpi < 1) {
+        return 'DPI 값을 확인해주세요.';
+    }
+    if (size.width > MAX_EXPORT_SIDE || size.height > MAX_EXPORT_SIDE ||
+        size.width * size.height > MAX_EXPORT_PIXELS) {
+        return `이미지가 너무 큽니다. 가로·세로 ${MAX_EXPORT_SIDE.toLocaleString()}px 이하로 설정해주세요.`;
+    }
+    return null;
+}
+
+function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('이미지를 만들지 못했습니다.'));
+            }
+        }, type, quality);
+    });
+}
+
+// ==================== PNG Resolution ====================
+// Record the DPI in a pHYs chunk so print dialogs use the intended physical size
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function createPHYsChunk(dpi) {
+    const pixelsPerMetre = Math.round(dpi / 0.0254);
+    const chunk = new Uint8Array(21);
+    const view = new DataView(chunk.buffer);
+
+    view.setUint32(0, 9);
+    chunk.set([0x70, 0x48, 0x59, 0x73], 4); // 'pHYs'
+    view.setUint32(8, pixelsPerMetre);
+    view.setUint32(12, pixelsPerMetre);
+    chunk[16] = 1; // unit: metre
+    view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+    return chunk;
+}
+
+// Insert a pHYs chunk after IHDR, replacing any existing one
+async function setPNGResolution(blob, dpi) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(bytes.buffer);
+    const parts = [bytes.subarray(0, 8)]; // signature
+
+    let offset = 8;
+    while (offset < bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const end = offset + 12 + length;
+
+        if (type !== 'pHYs') {
+            parts.push(bytes.subarray(offset, end));
+        }
+        if (type === 'IHDR') {
+            parts.push(createPHYsChunk(dpi));
+        }
+        offset = end;
+    }
+
+    return new Blob(parts, { type: 'image/png' });
+}
+
+// ==================== Export ====================
+async function exportTimelinePNG(settings) {
+    const view = getExportView(settings);
+    const size = getExportSize(settings, view);
+    const error = validateExportSize(size);
+    if (error) {
+        throw new Error(error);
+    }
+
+    // Zoomed-in views and large sizes need more detail than the thumbnails have
+    await preloadPhotoImages(state.photos, { original: needsOriginalImages(size.scale * view.zoom) });
+    let image;
+    try {
+        image = renderTimelineToCanvas(size.scale, { background: settings.background, view });
+    } finally {
+        releaseOriginalImages();
+    }
+    const blob = await setPNGResolution(await canvasToBlob(image, 'image/png'), size.dpi);
+    image.width = 0; // release the bitmap
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    const timestamp = new Date().toISOString().slice(0, 10);
+    link.download = `life-curve-${getRangeFileLabel()}-${timestamp}.png`;
+    link.href = url;
+    link.click();
+    URL.revokeObjectURL(url);
+}
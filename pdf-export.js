@@ -0,0 +1,335 @@
+// ==================== PDF Export ====================
+// A title page, the timeline and an appendix listing every photo, on A4
+// landscape pages. Each page is drawn on a canvas at print resolution and
+// embedded as a JPEG by the small writer below, so the browser's own fonts
+// render Korean text and no font has to be embedded in the PDF.
+const PDF_PAGE_WIDTH = 842; // A4 landscape, in points
+const PDF_PAGE_HEIGHT = 595;
+const PDF_DPI = 300;
+const PDF_MARGIN = 48;
+const PDF_APPENDIX_TOP = 110;
+const PDF_APPENDIX_ROW_HEIGHT = 36;
+const PDF_FONT = "Inter, 'Noto Sans KR', sans-serif";
+
+// ==================== Pages ====================
+function createPDFPage() {
+    const scale = PDF_DPI / 72;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(PDF_PAGE_WIDTH * scale);
+    canvas.height = Math.round(PDF_PAGE_HEIGHT * scale);
+
+    const pageCtx = canvas.getContext('2d');
+    pageCtx.scale(scale, scale);
+    pageCtx.fillStyle = '#ffffff';
+    pageCtx.fillRect(0, 0, PDF_PAGE_WIDTH, PDF_PAGE_HEIGHT);
+
+    return { canvas, ctx: pageCtx };
+}
+
+function formatEmotionLevel(level) {
+    return level > 0 ? `+${level}` : `${level}`;
+}
+
+// Shorten text with an ellipsis until it fits
+function fitText(pageCtx, text, maxWidth) {
+    if (pageCtx.measureText(text).width <= maxWidth) return text;
+
+    let end = text.length;
+    while (end > 0 && pageCtx.measureText(`${text.slice(0, end)}…`).width > maxWidth) {
+        end--;
+    }
+    return `${text.slice(0, end)}…`;
+}
+
+function drawPDFFooter(pageCtx, pageNumber, pageCount) {
+    pageCtx.font = `9px ${PDF_FONT}`;
+    pageCtx.fillStyle = '#8A9AB0';
+    pageCtx.textAlign = 'left';
+    pageCtx.fillText('Life Curve', PDF_MARGIN, PDF_PAGE_HEIGHT - 24);
+    pageCtx.textAlign = 'right';
+    pageCtx.fillText(`${pageNumber} / ${pageCount}`, PDF_PAGE_WIDTH - PDF_MARGIN, PDF_PAGE_HEIGHT - 24);
+}
+
+function drawPDFHeading(pageCtx, title, subtitle) {
+    pageCtx.fillStyle = '#ED9850';
+    pageCtx.fillRect(PDF_MARGIN, PDF_MARGIN - 16, 32, 3);
+
+    pageCtx.textAlign = 'left';
+    pageCtx.font = `bold 20px ${PDF_FONT}`;
+    pageCtx.fillStyle = '#001F3F';
+    pageCtx.fillText(title, PDF_MARGIN, PDF_MARGIN + 10);
+
+    if (subtitle) {
+        pageCtx.font = `11px ${PDF_FONT}`;
+        pageCtx.fillStyle = '#5A6B80';
+        pageCtx.fillText(subtitle, PDF_MARGIN, PDF_MARGIN + 28);
+    }
+}
+
+// Draw an image into a box, keeping its aspect ratio and centring it
+function drawImageContained(pageCtx, image, x, y, width, height) {
+    const fit = Math.min(width / image.width, height / image.height);
+    const drawWidth = image.width * fit;
+    const drawHeight = image.height * fit;
+    pageCtx.drawImage(image, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight);
+}
+
+function drawPDFTitlePage(page, photos, timelineImage) {
+    const pageCtx = page.ctx;
+    const dates = photos.map(photo => getPhotoDisplayDate(photo));
+    const labelled = photos.filter(photo => photo.label).length;
+    const average = photos.length > 0
+        ? photos.reduce((sum, photo) => sum + (photo.emotion || 0), 0) / photos.length
+        : 0;
+
+    pageCtx.fillStyle = '#001F3F';
+    pageCtx.fillRect(0, 0, PDF_PAGE_WIDTH, 8);
+
+    pageCtx.textAlign = 'left';
+    pageCtx.font = `bold 12px ${PDF_FONT}`;
+    pageCtx.fillStyle = '#ED9850';
+    pageCtx.fillText('LIFE CURVE · 인생곡선', PDF_MARGIN, 96);
+
+    pageCtx.font = `bold 44px ${PDF_FONT}`;
+    pageCtx.fillStyle = '#001F3F';
+    pageCtx.fillText(getRangeLabel(), PDF_MARGIN, 148);
+
+    const facts = [`사진 ${photos.length}장`, `라벨 ${labelled}개`, `평균 감정 ${formatEmotionLevel(Math.round(average * 10) / 10)}`];
+    if (dates.length > 0) {
+        facts.unshift(`${formatDate(new Date(Math.min(...dates)))} – ${formatDate(new Date(Math.max(...dates)))}`);
+    }
+    pageCtx.font = `13px ${PDF_FONT}`;
+    pageCtx.fillStyle = '#5A6B80';
+    pageCtx.fillText(facts.join('   ·   '), PDF_MARGIN, 178);
+
+    // Preview of the timeline
+    const previewTop = 210;
+    drawImageContained(pageCtx, timelineImage, PDF_MARGIN, previewTop,
+        PDF_PAGE_WIDTH - PDF_MARGIN * 2, PDF_PAGE_HEIGHT - previewTop - 70);
+
+    pageCtx.font = `10px ${PDF_FONT}`;
+    pageCtx.fillStyle = '#8A9AB0';
+    pageCtx.fillText(`${formatDate(new Date())} 내보냄`, PDF_MARGIN, PDF_PAGE_HEIGHT - 44);
+}
+
+function drawPDFTimelinePage(page, timelineImage) {
+    drawPDFHeading(page.ctx, '타임라인', getRangeLabel());
+
+    const top = PDF_MARGIN + 44;
+    drawImageContained(page.ctx, timelineImage, PDF_MARGIN, top,
+        PDF_PAGE_WIDTH - PDF_MARGIN * 2, PDF_PAGE_HEIGHT - top - PDF_MARGIN);
+}
+
+function getPDFRowsPerPage() {
+    return Math.floor((PDF_PAGE_HEIGHT - PDF_APPENDIX_TOP - 50) / PDF_APPENDIX_ROW_HEIGHT);
+}
+
+function drawPDFAppendixPage(page, photos, firstIndex, pageIndex, appendixPageCount) {
+    const pageCtx = page.ctx;
+    const columns = { index: PDF_MARGIN, thumb: PDF_MARGIN + 28, date: PDF_MARGIN + 72, emotion: PDF_MARGIN + 160, label: PDF_MARGIN + 220, name: PDF_MARGIN + 500 };
+    const right = PDF_PAGE_WIDTH - PDF_MARGIN;
+
+    const subtitle = appendixPageCount > 1 ? `사진 목록 (${pageIndex + 1}/${appendixPageCount})` : '사진 목록';
+    drawPDFHeading(pageCtx, '부록', subtitle);
+
+    // Column headings
+    pageCtx.font = `bold 9px ${PDF_FONT}`;
+    pageCtx.fillStyle = '#8A9AB0';
+    pageCtx.textAlign = 'left';
+    const headingY = PDF_APPENDIX_TOP - 12;
+    pageCtx.fillText('#', columns.index, headingY);
+    pageCtx.fillText('날짜', columns.date, headingY);
+    pageCtx.fillText('감정', columns.emotion, headingY);
+    pageCtx.fillText('라벨', columns.label, headingY);
+    pageCtx.fillText('파일명', columns.name, headingY);
+
+    if (photos.length === 0) {
+        pageCtx.font = `12px ${PDF_FONT}`;
+        pageCtx.fillStyle = '#5A6B80';
+        pageCtx.fillText('사진이 없습니다.', PDF_MARGIN, PDF_APPENDIX_TOP + 24);
+        return;
+    }
+
+    photos.forEach((photo, i) => {
+        const top = PDF_APPENDIX_TOP + i * PDF_APPENDIX_ROW_HEIGHT;
+        const middle = top + PDF_APPENDIX_ROW_HEIGHT / 2 + 4;
+
+        pageCtx.strokeStyle = '#E3E8EF';
+        pageCtx.lineWidth = 0.5;
+        pageCtx.beginPath();
+        pageCtx.moveTo(PDF_MARGIN, top);
+        pageCtx.lineTo(right, top);
+        pageCtx.stroke();
+
+        // Square thumbnail, cropped to cover
+        const img = photo.cachedImage;
+        if (img && img.naturalWidth > 0) {
+            const size = 28;
+            const side = Math.min(img.naturalWidth, img.naturalHeight);
+            pageCtx.save();
+            roundRect(pageCtx, columns.thumb, top + 4, size, size, 3);
+            pageCtx.clip();
+            pageCtx.drawImage(img,
+                (img.naturalWidth - side) / 2, (img.naturalHeight - side) / 2, side, side,
+                columns.thumb, top + 4, size, size);
+            pageCtx.restore();
+        }
+
+        const level = calculateEmotionLevel(photo);
+        pageCtx.font = `10px ${PDF_FONT}`;
+        pageCtx.fillStyle = '#8A9AB0';
+        pageCtx.fillText(`${firstIndex + i + 1}`, columns.index, middle);
+
+        pageCtx.fillStyle = '#001F3F';
+        pageCtx.fillText(formatDate(getPhotoDisplayDate(photo)), columns.date, middle);
+
+        pageCtx.font = `bold 10px ${PDF_FONT}`;
+        pageCtx.fillStyle = level > 0 ? '#D97A2B' : level < 0 ? '#2B5C8A' : '#5A6B80';
+        pageCtx.fillText(formatEmotionLevel(level), columns.emotion, middle);
+
+        pageCtx.font = `10px ${PDF_FONT}`;
+        pageCtx.fillStyle = photo.label ? '#001F3F' : '#B8C5D6';
+        pageCtx.fillText(fitText(pageCtx, photo.label || '—', columns.name - columns.label - 12), columns.label, middle);
+
+        pageCtx.fillStyle = '#5A6B80';
+        pageCtx.fillText(fitText(pageCtx, photo.name, right - columns.name), columns.name, middle);
+    });
+}
+
+// ==================== PDF Writer ====================
+async function canvasToJPEG(canvas) {
+    const blob = await canvasToBlob(canvas, 'image/jpeg', 0.92);
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+// PDF text string in UTF-16BE hex, so Korean titles survive
+function toPDFHexString(text) {
+    let hex = 'FEFF';
+    for (let i = 0; i < text.length; i++) {
+        hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+    }
+    return `<${hex}>`;
+}
+
+// Minimal PDF 1.4: one full-page JPEG image per page.
+// pages: [{ jpeg: Uint8Array, pixelWidth, pixelHeight }]
+function buildPDF(pages, title) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+
+    const write = (data) => {
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const startObject = (id) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n`);
+    };
+
+    // Objects: 1 catalog, 2 page tree, 3 info, then page / contents / image per page
+    const pageId = index => 4 + index * 3;
+    const objectCount = 3 + pages.length * 3;
+
+    write('%PDF-1.4\n');
+    write(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A])); // binary marker comment
+
+    startObject(1);
+    write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+
+    startObject(2);
+    const kids = pages.map((_, index) => `${pageId(index)} 0 R`).join(' ');
+    write(`<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>\nendobj\n`);
+
+    const now = new Date();
+    const stamp = `${formatDateForInput(now).replace(/-/g, '')}${String(now.getHours()).padStart(2, '0')}` +
+        `${String(now.getMinutes()).padStart(2, '0')}${String(now.getSeconds()).padStart(2, '0')}`;
+    startObject(3);
+    write(`<< /Title ${toPDFHexString(title)} /Producer (Life Curve) /CreationDate (D:${stamp}) >>\nendobj\n`);
+
+    pages.forEach((page, index) => {
+        const id = pageId(index);
+        const content = `q ${PDF_PAGE_WIDTH} 0 0 ${PDF_PAGE_HEIGHT} 0 0 cm /Im0 Do Q`;
+
+        startObject(id);
+        write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}] ` +
+            `/Resources << /XObject << /Im0 ${id + 2} 0 R >> >> /Contents ${id + 1} 0 R >>\nendobj\n`);
+
+        startObject(id + 1);
+        write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+
+        startObject(id + 2);
+        write(`<< /Type /XObject /Subtype /Image /Width ${page.pixelWidth} /Height ${page.pixelHeight} ` +
+            `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`);
+        write(page.jpeg);
+        write('\nendstream\nendobj\n');
+    });
+
+    const xrefOffset = length;
+    write(`xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`);
+    for (let id = 1; id <= objectCount; id++) {
+        write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size ${objectCount + 1} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return new Blob(chunks, { type: 'application/pdf' });
+}
+
+// ==================== Export ====================
+async function exportTimelinePDF() {
+    const photos = [...state.photos].sort((a, b) => getPhotoTime(a) - getPhotoTime(b));
+    await preloadPhotoImages(photos);
+
+    // Render the timeline at print resolution for the area it fills on the page
+    const fit = Math.min(
+        (PDF_PAGE_WIDTH - PDF_MARGIN * 2) / canvasWidth,
+        (PDF_PAGE_HEIGHT - PDF_MARGIN * 2 - 44) / canvasHeight
+    );
+    const scale = fit * PDF_DPI / 72;
+    if (needsOriginalImages(scale)) {
+        await preloadPhotoImages(photos, { original: true });
+    }
+    const timelineImage = renderTimelineToCanvas(scale);
+    releaseOriginalImages(photos);
+
+    const rowsPerPage = getPDFRowsPerPage();
+    const appendixPageCount = Math.max(1, Math.ceil(photos.length / rowsPerPage));
+    const pageCount = 2 + appendixPageCount;
+
+    // Pages are drawn and encoded one at a time to keep memory low
+    const drawers = [
+        page => drawPDFTitlePage(page, photos, timelineImage),
+        page => drawPDFTimelinePage(page, timelineImage),
+    ];
+    for (let i = 0; i < appendixPageCount; i++) {
+        const first = i * rowsPerPage;
+        drawers.push(page => drawPDFAppendixPage(
+            page, photos.slice(first, first + rowsPerPage), first, i, appendixPageCount
+        ));
+    }
+
+    const pages = [];
+    for (let i = 0; i < drawers.length; i++) {
+        const page = createPDFPage();
+        drawers[i](page);
+        drawPDFFooter(page.ctx, i + 1, pageCount);
+
+        pages.push({
+            jpeg: await canvasToJPEG(page.canvas),
+            pixelWidth: page.canvas.width,
+            pixelHeight: page.canvas.height,
+        });
+        page.canvas.width = 0; // release the bitmap
+    }
+
+    const blob = buildPDF(pages, `Life Curve · ${getRangeLabel()}`);
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    const timestamp = new Date().toISOString().slice(0, 10);
+    link.download = `life-curve-${getRangeFileLabel()}-${timestamp}.pdf`;
+    link.href = url;
+    link.click();
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,220 @@
+// ==================== Photo Date Tools ====================
+// photo.captureDate is the wall-clock time where the photo was taken, held in
+// the Date's local fields (as exifr returns EXIF dates). photo.captureOffset is
+// that wall clock's UTC offset in minutes when known (EXIF OffsetTime* or a
+// file's modification time), otherwise null.
+// state.timezone is null to show every photo at its own wall-clock time, or an
+// IANA zone ('Asia/Seoul') to show photos with a known offset in that zone.
+const MINUTE_MS = 60 * 1000;
+
+// ==================== Time Zones ====================
+// '+09:00' / '-05:30' / 'Z' -> minutes east of UTC
+function parseExifOffset(value) {
+    if (typeof value !== 'string') return null;
+    if (value.trim() === 'Z') return 0;
+
+    const match = /^([+-])(\d{2}):?(\d{2})$/.exec(value.trim());
+    if (!match) return null;
+
+    const minutes = Number(match[2]) * 60 + Number(match[3]);
+    return match[1] === '-' ? -minutes : minutes;
+}
+
+function formatUtcOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const hours = String(Math.floor(Math.abs(minutes) / 60)).padStart(2, '0');
+    const rest = String(Math.abs(minutes) % 60).padStart(2, '0');
+    return `UTC${sign}${hours}:${rest}`;
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function getBrowserTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// Every zone the browser knows, browser's own first
+function getTimeZoneOptions() {
+    const zones = typeof Intl.supportedValuesOf === 'function'
+        ? Intl.supportedValuesOf('timeZone')
+        : ['Asia/Seoul', 'Asia/Tokyo', 'Asia/Shanghai', 'Asia/Singapore', 'Asia/Bangkok', 'Europe/London',
+            'Europe/Paris', 'America/New_York', 'America/Chicago', 'America/Los_Angeles', 'Australia/Sydney', 'UTC'];
+    const browserZone = getBrowserTimeZone();
+    return [browserZone, ...zones.filter(zone => zone !== browserZone)];
+}
+
+const zoneFormatters = new Map();
+
+// Wall-clock time of an instant in a zone, as a Date with those local fields
+function getZonedWallClock(instant, timeZone) {
+    if (!zoneFormatters.has(timeZone)) {
+        zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+        }));
+    }
+
+    const parts = {};
+    zoneFormatters.get(timeZone).formatToParts(new Date(instant)).forEach(part => {
+        parts[part.type] = Number(part.value);
+    });
+    return new Date(
+        parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, instant % 1000
+    );
+}
+
+// Local fields of a wall-clock Date read as if they were UTC
+function wallClockToUTC(date) {
+    return Date.UTC(
+        date.getFullYear(), date.getMonth(), date.getDate(),
+        date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds()
+    );
+}
+
+// Instant at which a zone's clocks show `wallClock`
+function getInstantInZone(wallClock, timeZone) {
+    const asUTC = wallClockToUTC(wallClock);
+    let instant = asUTC;
+    // Second pass settles wall clocks next to a daylight-saving change
+    for (let i = 0; i < 2; i++) {
+        instant = asUTC - (wallClockToUTC(getZonedWallClock(instant, timeZone)) - instant);
+    }
+    return instant;
+}
+
+// 'YYYY-MM-DDTHH:mm:ss.sss' without a zone; Date parses it back as the same
+// wall-clock time in any browser, unlike toISOString()
+function toWallClockString(date) {
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(date.getFullYear(), 4)}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` +
+        `.${pad(date.getMilliseconds(), 3)}`;
+}
+
+// The date and time to show for a photo in the project time zone
+function getPhotoDisplayDate(photo) {
+    if (!state.timezone || photo.captureOffset == null) {
+        return photo.captureDate;
+    }
+
+    const instant = wallClockToUTC(photo.captureDate) - photo.captureOffset * MINUTE_MS;
+    return getZonedWallClock(instant, state.timezone);
+}
+
+// Capture properties that make a photo show `date` in the project time zone.
+// The photo keeps its own offset; only its wall-clock time moves.
+function getCaptureDateForDisplay(photo, date) {
+    if (!state.timezone || photo.captureOffset == null) {
+        return { captureDate: date };
+    }
+
+    const instant = getInstantInZone(date, state.timezone);
+    const wallClock = new Date(instant + photo.captureOffset * MINUTE_MS);
+    return {
+        captureDate: new Date(
+            wallClock.getUTCFullYear(), wallClock.getUTCMonth(), wallClock.getUTCDate(),
+            wallClock.getUTCHours(), wallClock.getUTCMinutes(), wallClock.getUTCSeconds(),
+            wallClock.getUTCMilliseconds()
+        ),
+    };
+}
+
+// ==================== Date Source ====================
+// The capture date EXIF recorded, in the order import picks them, or null.
+// Saved projects keep it as a wall-clock string, which parses as local time.
+function getExifCaptureDate(exifData) {
+    const value = exifData?.DateTimeOriginal || exifData?.DateTime || exifData?.CreateDate;
+    if (!value) return null;
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// Where photo.captureDate came from: 'exif' as the camera recorded it,
+// 'edited' changed since (by hand or from the file name), or 'file' the file's
+// modification time because EXIF had no date. Both dates are wall-clock times,
+// so they are compared field by field rather than as instants.
+function getPhotoDateSource(photo) {
+    const exifDate = getExifCaptureDate(photo.exifData);
+    if (exifDate) {
+        return toWallClockString(exifDate) === toWallClockString(photo.captureDate) ? 'exif' : 'edited';
+    }
+    return photo.hasValidDate ? 'edited' : 'file';
+}
+
+// ==================== Bulk Changes ====================
+
+// Move a wall-clock date by `amount` days or hours. Calendar arithmetic keeps
+// a daylight-saving change in the browser's zone from adding or losing an hour.
+function shiftDate(date, amount, unit) {
+    const shifted = new Date(date);
+    if (unit === 'hours') {
+        shifted.setHours(shifted.getHours() + amount);
+    } else {
+        shifted.setDate(shifted.getDate() + amount);
+    }
+    return shifted;
+}
+
+// The calendar day of `day` ('YYYY-MM-DD') with the time of day of `date`
+function withCalendarDay(date, day) {
+    const result = parseInputDate(day);
+    result.setHours(date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+    return result;
+}
+
+// ==================== Dates from File Names ====================
+// Matches the dates phones, cameras and messengers write into file names:
+//   IMG_20250314_153012.jpg, PXL_20250314_153012345.jpg, IMG-20250314-WA0001.jpg,
+//   KakaoTalk_20250314_153012345.jpg, Screenshot_20250314-153012.png,
+//   Screenshot 2025-03-14 at 3.30.12 PM.png, 스크린샷 2025-03-14 오후 3.30.12.png,
+//   photo_2025-03-14_15-30-12.jpg
+// The date separator must be used consistently, and digits may not run on
+// into the date, so numeric IDs and timestamps are not mistaken for dates.
+const FILENAME_DATE_PATTERN = new RegExp(
+    '(?<!\\d)((?:19|20)\\d{2})([-_.]?)(0[1-9]|1[0-2])\\2(0[1-9]|[12]\\d|3[01])(?!\\d)' +
+    '(?:[ _T-]+(?:at )?(?:(오전|오후) ?)?' +
+    '(?:(\\d{1,2})[-_.:h](\\d{2})(?:[-_.:m](\\d{2}))?|(\\d{2})(\\d{2})(\\d{2})\\d*)(?![\\d.:-]\\d)(?: ?([AP]M)\\b)?)?',
+    'i'
+);
+
+// Capture date encoded in a file name, or null
+function parseDateFromFilename(name) {
+    const match = FILENAME_DATE_PATTERN.exec(name);
+    if (!match) return null;
+
+    const [
+        , year, , month, day, meridiem, hour, minute, second, compactHour, compactMinute, compactSecond, suffix,
+    ] = match;
+    const date = new Date(Number(year), Number(month) - 1, Number(day));
+
+    // Reject days the month doesn't have (20250231)
+    if (date.getMonth() !== Number(month) - 1) return null;
+
+    let hours = Number(hour ?? compactHour ?? 0);
+    const minutes = Number(minute ?? compactMinute ?? 0);
+    const seconds = Number(second ?? compactSecond ?? 0);
+    const period = meridiem || suffix?.toUpperCase();
+    if ((period === '오후' || period === 'PM') && hours < 12) hours += 12;
+    if ((period === '오전' || period === 'AM') && hours === 12) hours = 0;
+
+    // A time that doesn't read as one is dropped, the date is still good
+    if (hours < 24 && minutes < 60 && seconds < 60) {
+        date.setHours(hours, minutes, seconds);
+    }
+
+    return date;
+}
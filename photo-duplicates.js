@@ -0,0 +1,148 @@
+// ==================== Duplicate Detection ====================
+// photo.contentHash is the SHA-256 of the file as imported (before HEIC
+// conversion), so the same file imported twice matches exactly.
+// photo.perceptualHash is a 64-bit difference hash (dHash) of the thumbnail,
+// which survives re-encoding and resizing (a HEIC and its JPEG export).
+// Both are hex strings (64 and 16 digits), or null where they couldn't be computed.
+const DHASH_MAX_DISTANCE = 6; // differing bits out of 64 still counted as the same picture
+
+async function hashFile(blob) {
+    // crypto.subtle only exists on https:// and localhost
+    if (!window.crypto?.subtle) return null;
+
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Shrink to 9×8 grey pixels; each bit says whether a pixel is brighter than its right neighbour
+async function computePerceptualHash(blob) {
+    try {
+        const bitmap = await createImageBitmap(blob);
+        const canvas = document.createElement('canvas');
+        canvas.width = 9;
+        canvas.height = 8;
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(bitmap, 0, 0, 9, 8);
+        bitmap.close();
+
+        const { data } = context.getImageData(0, 0, 9, 8);
+        const grey = index => data[index * 4] * 0.299 + data[index * 4 + 1] * 0.587 + data[index * 4 + 2] * 0.114;
+
+        let hash = '';
+        for (let row = 0; row < 8; row++) {
+            let nibble = 0;
+            for (let col = 0; col < 8; col++) {
+                nibble = (nibble << 1) | (grey(row * 9 + col) > grey(row * 9 + col + 1) ? 1 : 0);
+                if (col % 4 === 3) {
+                    hash += nibble.toString(16);
+                    nibble = 0;
+                }
+            }
+        }
+        return hash;
+    } catch (error) {
+        console.warn('Could not compute perceptual hash:', error);
+        return null;
+    }
+}
+
+function hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (bits) {
+            distance += bits & 1;
+            bits >>= 1;
+        }
+    }
+    return distance;
+}
+
+// Photos saved before duplicate detection get their hashes on first use.
+// Their file is what was stored, so a converted HEIC hashes as its JPEG.
+async function ensurePhotoHashes(photos) {
+    for (const photo of photos) {
+        if (photo.contentHash === undefined) {
+            photo.contentHash = await hashFile(photo.file);
+        }
+        if (photo.perceptualHash === undefined) {
+            photo.perceptualHash = await computePerceptualHash(photo.thumbnail || photo.file);
+        }
+    }
+}
+
+// Newly imported photos that repeat a photo already in the project or earlier
+// in the same import: [{ photo, existing, exact }]. Each new photo is matched
+// once, to an identical file if there is one, else to the closest picture.
+async function findDuplicatePhotos(newPhotos, existingPhotos) {
+    await ensurePhotoHashes(existingPhotos);
+
+    const duplicates = [];
+    newPhotos.forEach((photo, index) => {
+        const candidates = [...existingPhotos, ...newPhotos.slice(0, index)];
+
+        const identical = photo.contentHash &&
+            candidates.find(other => other.contentHash === photo.contentHash);
+        if (identical) {
+            duplicates.push({ photo, existing: identical, exact: true });
+            return;
+        }
+
+        if (!photo.perceptualHash) return;
+        let closest = null;
+        let closestDistance = DHASH_MAX_DISTANCE + 1;
+        candidates.forEach(other => {
+            if (!other.perceptualHash) return;
+            const distance = hammingDistance(photo.perceptualHash, other.perceptualHash);
+            if (distance < closestDistance) {
+                closest = other;
+                closestDistance = distance;
+            }
+        });
+        if (closest) {
+            duplicates.push({ photo, existing: closest, exact: false });
+        }
+    });
+
+    return duplicates;
+}
+
+// Split an import by the review decisions ('skip' | 'keep' | 'replace', one per
+// duplicate): { add, replacements: [{ before, after }] }. A replacing photo
+// takes over the label, caption, notes, tags and emotion of the one it
+// replaces, so nothing written about the old photo is lost. Replacing a photo
+// from the same import just leaves that one out, and a photo only gets replaced once.
+function resolveDuplicates(newPhotos, duplicates, decisions) {
+    const dropped = new Set();
+    const replacements = [];
+
+    duplicates.forEach((duplicate, index) => {
+        const decision = decisions[index];
+        if (decision === 'skip') {
+            dropped.add(duplicate.photo);
+        } else if (decision === 'replace') {
+            if (newPhotos.includes(duplicate.existing)) {
+                dropped.add(duplicate.existing);
+            } else if (replacements.some(({ before }) => before === duplicate.existing)) {
+                // Already replaced by an earlier photo of this import: keep this one too
+            } else {
+                const { photo, existing } = duplicate;
+                dropped.add(photo);
+                Object.assign(photo, {
+                    label: existing.label,
+                    caption: existing.caption,
+                    notes: existing.notes,
+                    tags: existing.tags?.map(tag => ({ ...tag })),
+                    emotion: existing.emotion,
+                });
+                replacements.push({ before: existing, after: photo });
+            }
+        }
+    });
+
+    return {
+        add: newPhotos.filter(photo => !dropped.has(photo)),
+        replacements,
+    };
+}
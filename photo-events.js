@@ -0,0 +1,82 @@
+// ==================== Photo Events ====================
+// Photos taken close together are grouped into an event and drawn on the
+// timeline as one stacked thumbnail; clicking it opens the event as a carousel.
+// state.eventGrouping is null (every photo on its own) or { gapHours, useLocation }:
+// a new event starts when the next photo was taken more than gapHours later, or,
+// with useLocation, more than EVENT_DISTANCE_KM away (when both photos have GPS).
+const DEFAULT_EVENT_GROUPING = { gapHours: 3, useLocation: true };
+const EVENT_GAP_OPTIONS = [1, 3, 12, 24];
+const EVENT_DISTANCE_KM = 1;
+const EARTH_RADIUS_KM = 6371;
+
+function isValidEventGrouping(grouping) {
+    return grouping === null || (
+        typeof grouping === 'object' &&
+        EVENT_GAP_OPTIONS.includes(grouping.gapHours) &&
+        typeof grouping.useLocation === 'boolean'
+    );
+}
+
+// GPS position from EXIF (exifr adds decimal latitude/longitude), or null
+function getPhotoLocation(photo) {
+    const { latitude, longitude } = photo.exifData || {};
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+    return { latitude, longitude };
+}
+
+// Great-circle distance (haversine)
+function getDistanceKm(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLon = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+// The first labelled photo stands for the event and lends it its label
+function createPhotoEvent(photos) {
+    return {
+        photos,
+        cover: photos.find(photo => photo.label) || photos[0],
+    };
+}
+
+// Dated photos grouped into events in date order: [{ photos, cover }].
+// Without grouping every photo is an event of its own.
+function groupPhotosIntoEvents(photos, grouping = state.eventGrouping) {
+    const sorted = photos
+        .map(photo => ({ photo, time: getPhotoTime(photo) }))
+        .sort((a, b) => a.time - b.time);
+
+    if (!grouping) {
+        return sorted.map(({ photo }) => createPhotoEvent([photo]));
+    }
+
+    const gap = grouping.gapHours * 60 * MINUTE_MS;
+    const events = [];
+    let current = [];
+    let previous = null;
+
+    sorted.forEach(entry => {
+        if (previous && (entry.time - previous.time > gap || isFarApart(previous.photo, entry.photo, grouping))) {
+            events.push(createPhotoEvent(current));
+            current = [];
+        }
+        current.push(entry.photo);
+        previous = entry;
+    });
+    if (current.length > 0) {
+        events.push(createPhotoEvent(current));
+    }
+
+    return events;
+}
+
+function isFarApart(a, b, grouping) {
+    if (!grouping.useLocation) return false;
+
+    const from = getPhotoLocation(a);
+    const to = getPhotoLocation(b);
+    return Boolean(from && to && getDistanceKm(from, to) > EVENT_DISTANCE_KM);
+}
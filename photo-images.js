@@ -0,0 +1,174 @@
+// ==================== Photo Images ====================
+// photo.file is the original image (a Blob, HEIC already converted to JPEG) and
+// photo.thumbnail a downscaled JPEG made on import. The grid and the timeline
+// only ever decode thumbnails; originals are opened on demand, for the photo
+// modal and for exports. Object URLs are created lazily and revoked when a
+// photo leaves the project (releasePhotoImages); the Blobs stay on the photo so
+// undo can bring it back.
+const THUMBNAIL_SIZE = 320; // longest side in pixels
+const THUMBNAIL_QUALITY = 0.85;
+// Timeline photos are 60px, so thumbnails stay sharp up to about this scale
+const THUMBNAIL_MAX_SCALE = 4;
+
+// Downscale an image Blob to a JPEG Blob. Self-contained: the worker embeds it
+// with toString(), and it also runs on the main thread where workers can't.
+async function renderThumbnail(blob, size, quality) {
+    const bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image' });
+    const scale = Math.min(1, size / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+
+    let canvas;
+    if (typeof OffscreenCanvas !== 'undefined') {
+        canvas = new OffscreenCanvas(width, height);
+    } else {
+        canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+    }
+    const context = canvas.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    if (canvas.convertToBlob) {
+        return canvas.convertToBlob({ type: 'image/jpeg', quality });
+    }
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(result => (result ? resolve(result) : reject(new Error('Thumbnail encoding failed'))),
+            'image/jpeg', quality);
+    });
+}
+
+// ==================== Thumbnail Worker ====================
+let thumbnailWorker = null; // created on first use; false where workers are unavailable
+const thumbnailJobs = new Map(); // job id -> { blob, resolve, reject }
+let nextThumbnailJobId = 0;
+let thumbnailQueue = Promise.resolve();
+
+function getThumbnailWorker() {
+    if (thumbnailWorker !== null) return thumbnailWorker;
+
+    if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') {
+        thumbnailWorker = false;
+        return thumbnailWorker;
+    }
+
+    const source = `const renderThumbnail = ${renderThumbnail.toString()};
+self.onmessage = async (e) => {
+    const { id, blob, size, quality } = e.data;
+    try {
+        self.postMessage({ id, thumbnail: await renderThumbnail(blob, size, quality) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};`;
+
+    try {
+        thumbnailWorker = new Worker(URL.createObjectURL(new Blob([source], { type: 'text/javascript' })));
+    } catch (error) {
+        console.warn('Thumbnail worker unavailable, using the main thread:', error);
+        thumbnailWorker = false;
+        return thumbnailWorker;
+    }
+
+    thumbnailWorker.onmessage = (e) => {
+        const job = thumbnailJobs.get(e.data.id);
+        if (!job) return;
+
+        thumbnailJobs.delete(e.data.id);
+        if (e.data.error) {
+            job.reject(new Error(e.data.error));
+        } else {
+            job.resolve(e.data.thumbnail);
+        }
+    };
+
+    // The worker failed to start (e.g. blocked by a content security policy):
+    // finish its jobs on the main thread from now on
+    thumbnailWorker.onerror = (e) => {
+        console.warn('Thumbnail worker failed, using the main thread:', e.message);
+        thumbnailWorker.terminate();
+        thumbnailWorker = false;
+        thumbnailJobs.forEach(job => {
+            renderThumbnail(job.blob, THUMBNAIL_SIZE, THUMBNAIL_QUALITY).then(job.resolve, job.reject);
+        });
+        thumbnailJobs.clear();
+    };
+
+    return thumbnailWorker;
+}
+
+function runThumbnailJob(blob) {
+    const worker = getThumbnailWorker();
+    if (!worker) {
+        return renderThumbnail(blob, THUMBNAIL_SIZE, THUMBNAIL_QUALITY);
+    }
+
+    return new Promise((resolve, reject) => {
+        const id = nextThumbnailJobId++;
+        thumbnailJobs.set(id, { blob, resolve, reject });
+        worker.postMessage({ id, blob, size: THUMBNAIL_SIZE, quality: THUMBNAIL_QUALITY });
+    });
+}
+
+// One image at a time, so a large import never holds hundreds of decoded
+// full-size bitmaps at once. Rejects when the image can't be decoded, or when
+// `signal` (a cancelled import) aborted while the job waited its turn.
+function createThumbnail(blob, signal) {
+    const job = thumbnailQueue.then(() => {
+        throwIfAborted(signal);
+        return runThumbnailJob(blob);
+    });
+    thumbnailQueue = job.catch(() => {});
+    return job;
+}
+
+// For saved photos: an image the browser can't downscale is shown as it is
+function createThumbnailOrOriginal(blob) {
+    return createThumbnail(blob).catch(error => {
+        console.warn('Could not create thumbnail, using the original image:', error);
+        return blob;
+    });
+}
+
+// ==================== Object URLs ====================
+function getThumbnailUrl(photo) {
+    if (!photo.thumbnailUrl) {
+        photo.thumbnailUrl = URL.createObjectURL(photo.thumbnail || photo.file);
+    }
+    return photo.thumbnailUrl;
+}
+
+function getOriginalUrl(photo) {
+    if (!photo.originalUrl) {
+        photo.originalUrl = URL.createObjectURL(photo.file);
+    }
+    return photo.originalUrl;
+}
+
+// Drop the object URLs and decoded images of photos that left the project
+function releasePhotoImages(photos) {
+    photos.forEach(photo => {
+        ['thumbnailUrl', 'originalUrl'].forEach(key => {
+            if (photo[key]) {
+                URL.revokeObjectURL(photo[key]);
+                delete photo[key];
+            }
+        });
+        delete photo.cachedImage;
+        delete photo.originalImage;
+    });
+}
+
+// ==================== Originals for Export ====================
+function needsOriginalImages(scale) {
+    return scale > THUMBNAIL_MAX_SCALE;
+}
+
+// Free the full-size images decoded for an export
+function releaseOriginalImages(photos = state.photos) {
+    photos.forEach(photo => {
+        delete photo.originalImage;
+    });
+}
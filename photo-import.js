@@ -0,0 +1,278 @@
+// ==================== Photo Import ====================
+// EXIF is read in a small pool of workers and HEIC files are converted one at
+// a time (heic2any needs the page), so importing hundreds of photos keeps the
+// page responsive. Only IMPORT_CONCURRENCY files are in flight at once, which
+// also bounds memory, and an import can be cancelled between steps.
+const EXIFR_URL = 'https://cdn.jsdelivr.net/npm/exifr@7.1.3/dist/full.umd.min.js';
+const EXIF_WORKER_COUNT = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+const EXIF_WORKER_TIMEOUT = 15000; // ms; a worker that takes longer is given up on
+const IMPORT_CONCURRENCY = EXIF_WORKER_COUNT + 1;
+
+// ==================== Picking Files ====================
+// Browsers leave file.type empty for formats they don't know (HEIC on most
+// desktops, sometimes AVIF or TIFF), so image files are also recognised by name
+const IMAGE_TYPES_BY_EXTENSION = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    jpe: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    avif: 'image/avif',
+    bmp: 'image/bmp',
+    tif: 'image/tiff',
+    tiff: 'image/tiff',
+    heic: 'image/heic',
+    heif: 'image/heif',
+};
+
+function getFileExtension(name) {
+    const dot = name.lastIndexOf('.');
+    return dot === -1 ? '' : name.slice(dot + 1).toLowerCase();
+}
+
+// The image MIME type of a file, or null when it isn't an image.
+// Hidden files (macOS "._IMG_0001.jpg" and the like) are never photos.
+function getImageType(file) {
+    if (file.name.startsWith('.')) return null;
+    if (file.type.startsWith('image/')) return file.type;
+    return IMAGE_TYPES_BY_EXTENSION[getFileExtension(file.name)] || null;
+}
+
+function isImageFile(file) {
+    return getImageType(file) !== null;
+}
+
+// A file whose type the browser left empty gets the one its name implies
+function withImageType(file) {
+    if (file.type) return file;
+    return new File([file], file.name, { type: getImageType(file) || '', lastModified: file.lastModified });
+}
+
+// Every file in a dropped folder and its subfolders
+async function readDirectoryFiles(directory) {
+    const reader = directory.createReader();
+    const files = [];
+
+    // readEntries hands out at most ~100 entries per call; an empty batch means done
+    for (;;) {
+        const entries = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (entries.length === 0) break;
+
+        for (const entry of entries) {
+            files.push(...await readEntryFiles(entry));
+        }
+    }
+    return files;
+}
+
+async function readEntryFiles(entry) {
+    if (entry.isDirectory) {
+        return readDirectoryFiles(entry);
+    }
+    try {
+        return [await new Promise((resolve, reject) => entry.file(resolve, reject))];
+    } catch (error) {
+        console.warn('Could not read dropped file:', entry.fullPath, error);
+        return [];
+    }
+}
+
+// All files of a drop, folders included. The entries have to be taken while
+// the drop event is being handled; reading them can happen afterwards.
+function getDroppedFiles(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+
+    if (entries.length === 0 || entries.some(entry => !entry)) {
+        return Promise.resolve(Array.from(dataTransfer.files));
+    }
+    return Promise.all(entries.map(readEntryFiles)).then(lists => lists.flat());
+}
+
+// ==================== Worker Pool ====================
+// `size` workers running `source`; each takes one message at a time and
+// answers with one message. Jobs wait in order for a free worker. A worker
+// that dies (its script failed to load, busy or idle) or doesn't answer within
+// `timeout` ms is dropped and rejects its job; once none are left every job is
+// rejected, and callers fall back to the page.
+function createWorkerPool(source, size, timeout) {
+    const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+    const workers = new Set();
+    const running = new Map(); // worker -> its job
+    const idle = [];
+    const queue = [];
+
+    function takeJob(worker) {
+        const job = running.get(worker);
+        running.delete(worker);
+        if (job) clearTimeout(job.timer);
+        return job;
+    }
+
+    function dropWorker(worker, error) {
+        if (!workers.delete(worker)) return;
+
+        worker.terminate();
+        if (idle.includes(worker)) idle.splice(idle.indexOf(worker), 1);
+        takeJob(worker)?.reject(error);
+        runNext();
+    }
+
+    function runNext() {
+        if (workers.size === 0) {
+            queue.splice(0).forEach(job => job.reject(new Error('No workers available')));
+            return;
+        }
+
+        while (idle.length > 0 && queue.length > 0) {
+            const worker = idle.pop();
+            const job = queue.shift();
+
+            job.timer = setTimeout(() => dropWorker(worker, new Error('Worker timed out')), timeout);
+            running.set(worker, job);
+            worker.postMessage(job.message);
+        }
+    }
+
+    for (let i = 0; i < size; i++) {
+        const worker = new Worker(url);
+        worker.onmessage = (e) => {
+            const job = takeJob(worker);
+            if (!job) return;
+            idle.push(worker);
+            job.resolve(e.data);
+            runNext();
+        };
+        worker.onerror = (e) => {
+            e.preventDefault();
+            dropWorker(worker, new Error(e.message || 'Worker failed'));
+        };
+        workers.add(worker);
+        idle.push(worker);
+    }
+
+    return {
+        run(message) {
+            return new Promise((resolve, reject) => {
+                queue.push({ message, resolve, reject });
+                runNext();
+            });
+        },
+    };
+}
+
+// ==================== EXIF ====================
+let exifWorkerPool = null; // created on first use; false where workers are unavailable
+
+function getExifWorkerPool() {
+    if (exifWorkerPool !== null) return exifWorkerPool;
+
+    // A photo without EXIF is not an error: it answers { exif: null }.
+    // { error } means the result couldn't be sent back and the page should retry.
+    const source = `importScripts(${JSON.stringify(EXIFR_URL)});
+self.onmessage = async (e) => {
+    let exif = null;
+    try {
+        exif = await exifr.parse(e.data.file);
+    } catch (error) {
+        exif = null;
+    }
+    try {
+        self.postMessage({ exif });
+    } catch (error) {
+        self.postMessage({ error: error.message });
+    }
+};`;
+
+    try {
+        exifWorkerPool = typeof Worker === 'undefined' ? false : createWorkerPool(source, EXIF_WORKER_COUNT, EXIF_WORKER_TIMEOUT);
+    } catch (error) {
+        console.warn('EXIF workers unavailable, reading EXIF on the page:', error);
+        exifWorkerPool = false;
+    }
+    return exifWorkerPool;
+}
+
+// EXIF tags of an image file, or null when it has none
+async function readExif(file) {
+    const pool = getExifWorkerPool();
+    if (pool) {
+        try {
+            const result = await pool.run({ file });
+            if (!result.error) return result.exif;
+        } catch (error) {
+            console.warn('EXIF worker failed, reading EXIF on the page:', file.name, error);
+        }
+    }
+
+    try {
+        return await exifr.parse(file);
+    } catch (error) {
+        return null;
+    }
+}
+
+// ==================== HEIC ====================
+let heicQueue = Promise.resolve();
+
+function isHeicFile(file) {
+    return /\.hei[cf]$/i.test(file.name) || file.type === 'image/heic' || file.type === 'image/heif';
+}
+
+// HEIC/HEIF -> JPEG File, one conversion at a time. A cancelled import's
+// conversions still waiting in line are skipped.
+function convertHeic(file, signal) {
+    const job = heicQueue.then(async () => {
+        throwIfAborted(signal);
+        const converted = await heic2any({ blob: file, toType: 'image/jpeg', quality: 0.9 });
+        // heic2any returns an array for multi-image files; the first is the photo
+        const blob = Array.isArray(converted) ? converted[0] : converted;
+        return new File([blob], file.name.replace(/\.hei[cf]$/i, '.jpg'), { type: 'image/jpeg' });
+    });
+    heicQueue = job.catch(() => {});
+    return job;
+}
+
+// ==================== Running an Import ====================
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw new DOMException('Import cancelled', 'AbortError');
+    }
+}
+
+// Run `task(item, signal)` over the items with at most `limit` running at once.
+// onSettled(item, error) is called after each item. Resolves with the results
+// in item order (undefined for failed items) as soon as every item settled or
+// the signal aborted. Tasks still running then stop at their next step; a
+// result that arrives anyway goes to onDiscarded(result) to be cleaned up.
+function runImportTasks(items, limit, task, { signal, onSettled = () => {}, onDiscarded = () => {} } = {}) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runner = async () => {
+        while (next < items.length && !signal?.aborted) {
+            const index = next++;
+            try {
+                const result = await task(items[index], signal);
+                if (signal?.aborted) {
+                    onDiscarded(result);
+                } else {
+                    results[index] = result;
+                    onSettled(items[index], null);
+                }
+            } catch (error) {
+                if (!signal?.aborted) onSettled(items[index], error);
+            }
+        }
+    };
+
+    const finished = Promise.all(Array.from({ length: Math.min(limit, items.length) }, runner));
+    const aborted = new Promise(resolve => {
+        signal?.addEventListener('abort', resolve, { once: true });
+    });
+
+    // A copy, so tasks that finish after a cancel don't change the result
+    return Promise.race([finished, aborted]).then(() => results.slice());
+}
@@ -0,0 +1,295 @@
+// ==================== Photo Map ====================
+// Every photo with GPS (getPhotoLocation) as a pin on a map below the timeline.
+// The map is fitted to the photos in Web Mercator and drawn offline as a
+// latitude/longitude grid; state.mapTiles optionally names an XYZ tile source
+// ("https://…/{z}/{x}/{y}.png") drawn underneath. Pins of the photos on screen
+// in the timeline are highlighted, and clicking a pin pans the timeline to it.
+const MAP_HEIGHT = 260;
+const MAP_PADDING = 24;
+const MAP_PIN_RADIUS = 5;
+const MAP_TILE_SIZE = 256;
+const MAP_MAX_TILE_ZOOM = 19;
+const MAP_MIN_SPAN = 0.0005; // world units (~20km) shown around a single place
+const MAP_GRID_STEPS = [0.001, 0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 45];
+
+let mapCanvas, mapCtx;
+let mapPins = []; // [{ photo, time, x, y, inView }] as last drawn
+let hoveredMapPhoto = null;
+let isMapCollapsed = false;
+let mapRenderPending = false;
+const mapTileImages = new Map(); // tile URL -> Image
+
+function isValidMapTiles(tiles) {
+    return tiles === null || (
+        typeof tiles === 'string' &&
+        /^https?:\/\//.test(tiles) &&
+        ['{z}', '{x}', '{y}'].every(part => tiles.includes(part))
+    );
+}
+
+// Longitude/latitude -> Web Mercator world coordinates, both 0..1
+function projectLocation({ latitude, longitude }) {
+    const sin = Math.sin(Math.max(-85, Math.min(85, latitude)) * Math.PI / 180);
+    return {
+        x: (longitude + 180) / 360,
+        y: 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI),
+    };
+}
+
+function unprojectLatitude(worldY) {
+    return Math.atan(Math.sinh(Math.PI * (1 - 2 * worldY))) * 180 / Math.PI;
+}
+
+// Centre and scale (pixels per world unit) that fit every point in the canvas
+function fitMapView(points, width, height) {
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const minX = Math.min(...xs);
+    const maxX = Math.max(...xs);
+    const minY = Math.min(...ys);
+    const maxY = Math.max(...ys);
+
+    const spanX = Math.max(maxX - minX, MAP_MIN_SPAN);
+    const spanY = Math.max(maxY - minY, MAP_MIN_SPAN);
+    return {
+        centerX: (minX + maxX) / 2,
+        centerY: (minY + maxY) / 2,
+        scale: Math.max(width, Math.min((width - MAP_PADDING * 2) / spanX, (height - MAP_PADDING * 2) / spanY)),
+        width,
+        height,
+    };
+}
+
+function mapToCanvas(view, point) {
+    return {
+        x: (point.x - view.centerX) * view.scale + view.width / 2,
+        y: (point.y - view.centerY) * view.scale + view.height / 2,
+    };
+}
+
+// ==================== Render ====================
+// Redrawn after the timeline, so the highlight follows zoom and pan
+function schedulePhotoMapRender() {
+    if (mapRenderPending) return;
+    mapRenderPending = true;
+    requestAnimationFrame(() => {
+        mapRenderPending = false;
+        renderPhotoMap();
+    });
+}
+
+function renderPhotoMap() {
+    const located = state.view === 'timeline'
+        ? state.photos
+            .map(photo => ({ photo, location: getPhotoLocation(photo) }))
+            .filter(({ location }) => location)
+        : [];
+
+    elements.mapPanel.style.display = located.length > 0 ? 'block' : 'none';
+    mapPins = [];
+    if (located.length === 0) return;
+
+    elements.mapPhotoCount.textContent = `${located.length}장`;
+    elements.mapCanvas.style.display = isMapCollapsed ? 'none' : 'block';
+    elements.mapHint.style.display = isMapCollapsed ? 'none' : 'block';
+    elements.toggleMapButton.textContent = isMapCollapsed ? '펼치기' : '접기';
+    if (isMapCollapsed) return;
+
+    if (!mapCanvas) {
+        mapCanvas = elements.mapCanvas;
+        mapCtx = mapCanvas.getContext('2d');
+    }
+    const width = mapCanvas.clientWidth || 600;
+    if (mapCanvas.width !== width) mapCanvas.width = width;
+    if (mapCanvas.height !== MAP_HEIGHT) mapCanvas.height = MAP_HEIGHT;
+
+    const points = located.map(({ location }) => projectLocation(location));
+    const view = fitMapView(points, width, MAP_HEIGHT);
+
+    mapCtx.fillStyle = '#001F3F';
+    mapCtx.fillRect(0, 0, width, MAP_HEIGHT);
+    if (state.mapTiles) {
+        drawMapTiles(view);
+    }
+    drawMapGrid(view);
+
+    // Highlight what the timeline shows; the comparison view has no single time axis
+    const visible = isCompareMode() ? null : getViewportTimeRange();
+    mapPins = located.map(({ photo }, i) => {
+        const time = getPhotoTime(photo);
+        return {
+            photo,
+            time,
+            ...mapToCanvas(view, points[i]),
+            inView: Boolean(visible) && time >= visible.start && time <= visible.end,
+        };
+    });
+
+    // Highlighted pins last so they stay on top
+    [...mapPins]
+        .sort((a, b) => Number(a.inView) - Number(b.inView))
+        .forEach(pin => drawMapPin(pin, pin.photo === hoveredMapPhoto));
+}
+
+function drawMapPin(pin, isHovered) {
+    const radius = MAP_PIN_RADIUS + (pin.inView ? 1 : 0) + (isHovered ? 2 : 0);
+
+    mapCtx.beginPath();
+    mapCtx.arc(pin.x, pin.y, radius, 0, Math.PI * 2);
+    mapCtx.fillStyle = pin.inView ? 'rgba(235, 131, 23, 0.95)' : 'rgba(230, 230, 230, 0.45)';
+    mapCtx.fill();
+    mapCtx.strokeStyle = 'rgba(0, 31, 63, 0.9)';
+    mapCtx.lineWidth = 1.5;
+    mapCtx.stroke();
+}
+
+// Parallels and meridians with their degrees, in a step that gives a few lines
+function drawMapGrid(view) {
+    const left = view.centerX - view.width / 2 / view.scale;
+    const right = view.centerX + view.width / 2 / view.scale;
+    const top = view.centerY - view.height / 2 / view.scale;
+    const bottom = view.centerY + view.height / 2 / view.scale;
+
+    const lonSpan = (right - left) * 360;
+    const step = MAP_GRID_STEPS.find(candidate => lonSpan / candidate <= 6) || 90;
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+    const format = degrees => `${Math.abs(degrees).toFixed(decimals)}°`;
+
+    mapCtx.save();
+    mapCtx.strokeStyle = state.mapTiles ? 'rgba(0, 31, 63, 0.25)' : 'rgba(230, 230, 230, 0.12)';
+    mapCtx.fillStyle = state.mapTiles ? 'rgba(0, 31, 63, 0.7)' : 'rgba(230, 230, 230, 0.5)';
+    mapCtx.lineWidth = 1;
+    mapCtx.font = '10px Inter, sans-serif';
+
+    const westmost = left * 360 - 180;
+    for (let lon = Math.ceil(westmost / step) * step; lon <= right * 360 - 180; lon += step) {
+        const { x } = mapToCanvas(view, { x: (lon + 180) / 360, y: 0 });
+        mapCtx.beginPath();
+        mapCtx.moveTo(x, 0);
+        mapCtx.lineTo(x, view.height);
+        mapCtx.stroke();
+        mapCtx.textAlign = 'center';
+        mapCtx.textBaseline = 'bottom';
+        mapCtx.fillText(`${format(lon)}${lon < 0 ? 'W' : 'E'}`, x, view.height - 4);
+    }
+
+    const southmost = unprojectLatitude(Math.min(1, bottom));
+    const northmost = unprojectLatitude(Math.max(0, top));
+    for (let lat = Math.ceil(southmost / step) * step; lat <= northmost; lat += step) {
+        const { y } = mapToCanvas(view, { x: 0, y: projectLocation({ latitude: lat, longitude: 0 }).y });
+        mapCtx.beginPath();
+        mapCtx.moveTo(0, y);
+        mapCtx.lineTo(view.width, y);
+        mapCtx.stroke();
+        mapCtx.textAlign = 'left';
+        mapCtx.textBaseline = 'bottom';
+        mapCtx.fillText(`${format(lat)}${lat < 0 ? 'S' : 'N'}`, 4, y - 2);
+    }
+    mapCtx.restore();
+}
+
+// Tiles at the zoom level just below the view's scale, stretched to fit.
+// Images load in the background and the map redraws as they arrive.
+function drawMapTiles(view) {
+    const zoom = Math.max(0, Math.min(MAP_MAX_TILE_ZOOM, Math.floor(Math.log2(view.scale / MAP_TILE_SIZE))));
+    const count = 2 ** zoom;
+    const tileSize = view.scale / count;
+
+    const first = {
+        x: Math.floor((view.centerX - view.width / 2 / view.scale) * count),
+        y: Math.max(0, Math.floor((view.centerY - view.height / 2 / view.scale) * count)),
+    };
+    const last = {
+        x: Math.floor((view.centerX + view.width / 2 / view.scale) * count),
+        y: Math.min(count - 1, Math.floor((view.centerY + view.height / 2 / view.scale) * count)),
+    };
+
+    for (let ty = first.y; ty <= last.y; ty++) {
+        for (let tx = first.x; tx <= last.x; tx++) {
+            const image = getMapTile(zoom, ((tx % count) + count) % count, ty);
+            if (!image.complete || image.naturalWidth === 0) continue;
+
+            const { x, y } = mapToCanvas(view, { x: tx / count, y: ty / count });
+            mapCtx.drawImage(image, x, y, tileSize, tileSize);
+        }
+    }
+
+    // Tile servers ask to be credited
+    mapCtx.save();
+    mapCtx.font = '10px Inter, sans-serif';
+    mapCtx.textAlign = 'right';
+    mapCtx.textBaseline = 'top';
+    mapCtx.fillStyle = 'rgba(0, 31, 63, 0.8)';
+    try {
+        mapCtx.fillText(`지도 © ${new URL(state.mapTiles.replace(/[{}]/g, '')).hostname}`, view.width - 6, 6);
+    } catch (error) {
+        // An unparsable template just goes uncredited
+    }
+    mapCtx.restore();
+}
+
+function getMapTile(zoom, x, y) {
+    const url = state.mapTiles.replace('{z}', zoom).replace('{x}', x).replace('{y}', y);
+    let image = mapTileImages.get(url);
+    if (!image) {
+        image = new Image();
+        image.onload = schedulePhotoMapRender;
+        image.src = url;
+        mapTileImages.set(url, image);
+    }
+    return image;
+}
+
+// ==================== Interaction ====================
+function findMapPin(e) {
+    const rect = elements.mapCanvas.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top;
+
+    let nearest = null;
+    let nearestDistance = MAP_PIN_RADIUS + 4;
+    mapPins.forEach(pin => {
+        const distance = Math.hypot(pin.x - x, pin.y - y);
+        if (distance <= nearestDistance) {
+            nearest = pin;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
+
+function canJumpToPin(pin) {
+    return !isCompareMode() && isTimeInLayout(pin.time, getTimelineLayout());
+}
+
+function handleMapMouseMove(e) {
+    const pin = findMapPin(e);
+    const photo = pin ? pin.photo : null;
+    if (photo === hoveredMapPhoto) return;
+
+    hoveredMapPhoto = photo;
+    elements.mapCanvas.style.cursor = pin && canJumpToPin(pin) ? 'pointer' : 'default';
+    elements.mapCanvas.title = pin
+        ? `${photo.label || photo.name} · ${formatDate(getPhotoDisplayDate(photo))}` +
+            (canJumpToPin(pin) ? '' : ' (타임라인 기간 밖)')
+        : '';
+    renderPhotoMap();
+}
+
+function handleMapMouseLeave() {
+    if (!hoveredMapPhoto) return;
+    hoveredMapPhoto = null;
+    renderPhotoMap();
+}
+
+function handleMapClick(e) {
+    const pin = findMapPin(e);
+    if (pin && canJumpToPin(pin)) {
+        panToTime(pin.time);
+    }
+}
+
+function toggleMapPanel() {
+    isMapCollapsed = !isMapCollapsed;
+    renderPhotoMap();
+}
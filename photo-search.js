@@ -0,0 +1,91 @@
+// ==================== Photo Search ====================
+// A query matches a photo's label, caption, notes, file name and tags, or,
+// when it reads as a date ("2025-07", "3월", "March", "2025년 3월 14일",
+// "March 14 2025"), the photo's date as shown in the project time zone.
+const SEARCH_RESULT_LIMIT = 30;
+const MONTH_NAMES = [
+    'january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december',
+];
+
+// 'mar', 'march' -> 3; at least three letters
+function parseMonthName(word) {
+    if (word.length < 3) return null;
+    const index = MONTH_NAMES.findIndex(name => name.startsWith(word));
+    return index === -1 ? null : index + 1;
+}
+
+// { year, month, day } with only the parts the query names, or null
+function parseDateQuery(text) {
+    const query = text.trim().toLowerCase();
+    let match;
+
+    // 2025-07, 2025.07.14, 2025/7/14
+    if ((match = /^(\d{4})[-./](\d{1,2})(?:[-./](\d{1,2}))?$/.exec(query))) {
+        return validDateQuery(Number(match[1]), Number(match[2]), match[3] && Number(match[3]));
+    }
+
+    // 2025년, 3월, 2025년 3월, 3월 14일
+    if ((match = /^(?:(\d{4})\s*년)?\s*(?:(\d{1,2})\s*월)?\s*(?:(\d{1,2})\s*일)?$/.exec(query)) &&
+        (match[1] || match[2]) && (!match[3] || match[2])) {
+        return validDateQuery(match[1] && Number(match[1]), match[2] && Number(match[2]), match[3] && Number(match[3]));
+    }
+
+    // 2025, march, march 2025, march 14, 14 march 2025
+    const result = {};
+    const words = query.split(/[\s,]+/).filter(Boolean);
+    for (const word of words) {
+        const month = parseMonthName(word);
+        if (month && !result.month) {
+            result.month = month;
+        } else if (/^\d{4}$/.test(word) && !result.year) {
+            result.year = Number(word);
+        } else if (/^\d{1,2}(st|nd|rd|th)?$/.test(word) && !result.day) {
+            result.day = parseInt(word, 10);
+        } else {
+            return null;
+        }
+    }
+    if (!result.year && !result.month) return null;
+    if (result.day && !result.month) return null;
+    return validDateQuery(result.year, result.month, result.day);
+}
+
+function validDateQuery(year, month, day) {
+    if (month && (month < 1 || month > 12)) return null;
+    if (day && (day < 1 || day > 31)) return null;
+
+    const query = {};
+    if (year) query.year = year;
+    if (month) query.month = month;
+    if (day) query.day = day;
+    return query;
+}
+
+function matchesDateQuery(photo, query) {
+    // Photos without a capture date only sit on their file's modification date
+    if (!photo.hasValidDate) return false;
+
+    const date = getPhotoDisplayDate(photo);
+    return (!query.year || date.getFullYear() === query.year) &&
+        (!query.month || date.getMonth() + 1 === query.month) &&
+        (!query.day || date.getDate() === query.day);
+}
+
+function getSearchableText(photo) {
+    return [photo.label, photo.caption, photo.notes, photo.name, ...(photo.tags || []).map(tag => tag.name)]
+        .filter(Boolean)
+        .join('\n')
+        .toLowerCase();
+}
+
+// Matching photos in date order
+function searchPhotos(text, photos = state.photos) {
+    const query = text.trim().toLowerCase();
+    if (!query) return [];
+
+    const dateQuery = parseDateQuery(query);
+    return photos
+        .filter(photo => (dateQuery && matchesDateQuery(photo, dateQuery)) || getSearchableText(photo).includes(query))
+        .sort((a, b) => getPhotoTime(a) - getPhotoTime(b));
+}
@@ -0,0 +1,111 @@
+// ==================== Photo Tags ====================
+// photo.tags is a list of { type, name }: who is in the photo, where it was
+// taken, and what kind of moment it is. Tags written before they had types
+// (plain strings) are read as categories.
+const TAG_TYPES = [
+    { type: 'person', label: '사람' },
+    { type: 'place', label: '장소' },
+    { type: 'category', label: '분류' },
+];
+
+function isValidTag(tag) {
+    return Boolean(tag) && typeof tag === 'object' &&
+        TAG_TYPES.some(({ type }) => type === tag.type) &&
+        typeof tag.name === 'string' && tag.name.trim() !== '';
+}
+
+function getTagKey(tag) {
+    return `${tag.type}:${tag.name}`;
+}
+
+// Typed, trimmed and without repeats; undefined when nothing is left
+function normalizeTags(tags) {
+    if (!Array.isArray(tags)) return undefined;
+
+    const seen = new Set();
+    const normalized = [];
+    tags.forEach(tag => {
+        const typed = typeof tag === 'string' ? { type: 'category', name: tag } : tag;
+        if (!isValidTag(typed)) return;
+
+        const clean = { type: typed.type, name: typed.name.trim() };
+        if (seen.has(getTagKey(clean))) return;
+        seen.add(getTagKey(clean));
+        normalized.push(clean);
+    });
+    return normalized.length > 0 ? normalized : undefined;
+}
+
+// 'Mom, Jisoo , Mom' typed as `type` -> [{ type, name: 'Mom' }, { type, name: 'Jisoo' }]
+function parseTagList(text, type) {
+    return text.split(',').map(name => ({ type, name: name.trim() })).filter(tag => tag.name);
+}
+
+function getPhotoTagNames(photo, type) {
+    return (photo.tags || []).filter(tag => tag.type === type).map(tag => tag.name);
+}
+
+// Every tag used in the project with how many photos carry it, by type then name
+function getProjectTags() {
+    const counts = new Map();
+    state.photos.forEach(photo => {
+        (photo.tags || []).forEach(tag => {
+            const key = getTagKey(tag);
+            const entry = counts.get(key) || { tag, count: 0 };
+            entry.count++;
+            counts.set(key, entry);
+        });
+    });
+
+    const typeOrder = TAG_TYPES.map(({ type }) => type);
+    return [...counts.values()].sort((a, b) =>
+        typeOrder.indexOf(a.tag.type) - typeOrder.indexOf(b.tag.type) ||
+        a.tag.name.localeCompare(b.tag.name, 'ko'));
+}
+
+// ==================== Tag Filter ====================
+// state.tagFilter: { tags, mode, curve }. A photo matches when it has one of
+// the chosen tags of each type that has any chosen (people OR'ed, then AND'ed
+// with places, ...). Other photos are dimmed or hidden ('dim' | 'hide'); with
+// `curve` the auto curve is drawn through the matching photos only.
+// With no tags chosen the filter is off.
+const DEFAULT_TAG_FILTER = { tags: [], mode: 'dim', curve: false };
+const TAG_FILTER_MODES = ['dim', 'hide'];
+const DIMMED_PHOTO_ALPHA = 0.2;
+
+function isValidTagFilter(filter) {
+    return Boolean(filter) && typeof filter === 'object' &&
+        Array.isArray(filter.tags) && filter.tags.every(isValidTag) &&
+        TAG_FILTER_MODES.includes(filter.mode) &&
+        typeof filter.curve === 'boolean';
+}
+
+function isTagFilterActive() {
+    return state.tagFilter.tags.length > 0;
+}
+
+function matchesTagFilter(photo) {
+    if (!isTagFilterActive()) return true;
+
+    const keys = new Set((photo.tags || []).map(getTagKey));
+    return TAG_TYPES.every(({ type }) => {
+        const wanted = state.tagFilter.tags.filter(tag => tag.type === type);
+        return wanted.length === 0 || wanted.some(tag => keys.has(getTagKey(tag)));
+    });
+}
+
+// The photos to draw: in 'hide' mode the non-matching ones are left out
+function getFilteredPhotos(photos) {
+    if (!isTagFilterActive() || state.tagFilter.mode !== 'hide') return photos;
+    return photos.filter(matchesTagFilter);
+}
+
+// An event is dimmed when none of its photos match
+function isEventDimmed(photos) {
+    return isTagFilterActive() && state.tagFilter.mode === 'dim' && !photos.some(matchesTagFilter);
+}
+
+// Whether the auto curve follows the filter
+function isCurveFiltered() {
+    return isTagFilterActive() && state.tagFilter.curve;
+}
@@ -0,0 +1,327 @@
+// ==================== Project File (.lifecurve) ====================
+const PROJECT_FILE_FORMAT = 'lifecurve';
+const PROJECT_FILE_VERSION = 6;
+const PROJECT_FILE_EXTENSION = '.lifecurve';
+
+function isProjectFile(file) {
+    return file.name.toLowerCase().endsWith(PROJECT_FILE_EXTENSION);
+}
+
+// ==================== Save ====================
+async function buildProjectFile() {
+    const photos = await Promise.all(state.photos.map(async (photo) => ({
+        name: photo.name,
+        type: photo.file.type,
+        data: await readBlobAsDataURL(photo.file),
+        captureDate: toWallClockString(photo.captureDate),
+        captureOffset: photo.captureOffset ?? null,
+        hasValidDate: Boolean(photo.hasValidDate),
+        label: photo.label || null,
+        caption: photo.caption || null,
+        notes: photo.notes || null,
+        tags: photo.tags || [],
+        emotion: photo.emotion || 0,
+        exif: sanitizeExif(photo.exifData),
+        contentHash: photo.contentHash ?? null,
+        perceptualHash: photo.perceptualHash ?? null,
+    })));
+
+    return {
+        format: PROJECT_FILE_FORMAT,
+        version: PROJECT_FILE_VERSION,
+        createdAt: new Date().toISOString(),
+        project: {
+            range: state.range,
+            timezone: state.timezone,
+            eventGrouping: state.eventGrouping,
+            mapTiles: state.mapTiles,
+            tagFilter: state.tagFilter,
+            orientation: state.orientation,
+            curveLayers: state.curveLayers.map(layer => ({
+                name: layer.name,
+                color: layer.color,
+                visible: layer.visible,
+                mode: layer.mode,
+                points: layer.points.map(point => ({ time: point.time, emotion: point.emotion })),
+            })),
+            activeCurveLayer: state.curveLayers.indexOf(getActiveCurveLayer()),
+        },
+        photos,
+    };
+}
+
+async function saveProjectFile() {
+    const data = await buildProjectFile();
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    const timestamp = new Date().toISOString().slice(0, 10);
+    link.download = `life-curve-${state.range ? getRangeFileLabel() : 'project'}-${timestamp}${PROJECT_FILE_EXTENSION}`;
+    link.href = url;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// ==================== Migration ====================
+// v1 stored curve points as canvas pixels together with the canvas size;
+// v2 stored the raw drawn point stream as day-of-year points;
+// v3 stored control points as day-of-year points;
+// v4 replaces selectedYear with a range and stores timestamps;
+// v5 stores capture dates as wall-clock time plus a UTC offset, and a project
+// time zone. Earlier ISO capture dates still parse (in the opening browser's zone);
+// v6 replaces curvePoints and curveMode with a list of curve layers.
+function isPointList(points, xKey, yKey) {
+    return Array.isArray(points) &&
+        points.every(p => p && isFiniteNumber(p[xKey]) && isFiniteNumber(p[yKey]));
+}
+
+function migrateProjectFile(data) {
+    const project = data.project;
+    if (!project || typeof project !== 'object') return data;
+
+    if (data.version < 4) {
+        migrateSelectedYear(data);
+    }
+
+    // A damaged curve is left out, so validation reports it
+    if (data.version < 6) {
+        if (isPointList(project.curvePoints, 'time', 'emotion')) {
+            project.curveLayers = [{
+                name: DEFAULT_CURVE_LAYER_NAME,
+                color: CURVE_LAYER_COLORS[0],
+                visible: true,
+                mode: project.curveMode ?? 'manual',
+                points: project.curvePoints,
+            }];
+            project.activeCurveLayer = 0;
+        }
+        delete project.curvePoints;
+        delete project.curveMode;
+        data.version = 6;
+    }
+
+    return data;
+}
+
+function migrateSelectedYear(data) {
+    const project = data.project;
+
+    if (project.selectedYear != null && !Number.isInteger(project.selectedYear)) {
+        throw new Error('연도 정보가 올바르지 않습니다.');
+    }
+    const year = project.selectedYear || new Date().getFullYear();
+
+    if (data.version === 1 && isPointList(project.curvePoints, 'x', 'y')) {
+        project.curvePoints = convertLegacyCurvePoints(
+            project.curvePoints, project.orientation, project.canvasSize, year
+        );
+    } else if (data.version > 1 && isPointList(project.curvePoints, 'day', 'emotion')) {
+        project.curvePoints = convertDayPointsToTime(project.curvePoints, year);
+    }
+
+    if (data.version < 3 && isPointList(project.curvePoints, 'time', 'emotion')) {
+        project.curvePoints = convertPointStreamToControlPoints(
+            project.curvePoints, project.orientation, year
+        );
+    }
+
+    project.range = project.selectedYear ? { mode: 'year', year: project.selectedYear } : null;
+    delete project.selectedYear;
+    delete project.canvasSize;
+    data.version = 4;
+}
+
+// ==================== Validation ====================
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isOptionalText(value) {
+    return value === null || value === undefined || typeof value === 'string';
+}
+
+function isOptionalHash(value, length) {
+    return value === null || value === undefined ||
+        (typeof value === 'string' && value.length === length && /^[0-9a-f]+$/.test(value));
+}
+
+function isValidRange(range) {
+    if (!range || typeof range !== 'object') return false;
+
+    const isInputDate = value => typeof value === 'string' &&
+        /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(parseInputDate(value).getTime());
+
+    switch (range.mode) {
+        case 'year':
+            return Number.isInteger(range.year);
+        case 'custom':
+            return isInputDate(range.start) && isInputDate(range.end) && range.start <= range.end;
+        case 'all':
+            return true;
+        default:
+            return false;
+    }
+}
+
+function validateProjectFile(data) {
+    if (!data || typeof data !== 'object' || data.format !== PROJECT_FILE_FORMAT) {
+        throw new Error('Life Curve 프로젝트 파일이 아닙니다.');
+    }
+
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error('파일 버전 정보가 올바르지 않습니다.');
+    }
+    if (data.version > PROJECT_FILE_VERSION) {
+        throw new Error(`더 최신 버전(v${data.version})의 파일입니다. 앱을 새로고침한 후 다시 시도해주세요.`);
+    }
+
+    migrateProjectFile(data);
+
+    const project = data.project;
+    if (!project || typeof project !== 'object') {
+        throw new Error('프로젝트 설정이 없습니다.');
+    }
+    if (project.range !== null && !isValidRange(project.range)) {
+        throw new Error('기간 정보가 올바르지 않습니다.');
+    }
+    if (project.timezone != null &&
+        (typeof project.timezone !== 'string' || !isValidTimeZone(project.timezone))) {
+        throw new Error('시간대 정보가 올바르지 않습니다.');
+    }
+    // Optional: files from before event grouping don't have it
+    if (project.eventGrouping !== undefined && !isValidEventGrouping(project.eventGrouping)) {
+        throw new Error('사진 묶기 설정이 올바르지 않습니다.');
+    }
+    if (project.mapTiles !== undefined && !isValidMapTiles(project.mapTiles)) {
+        throw new Error('지도 타일 주소가 올바르지 않습니다.');
+    }
+    if (project.tagFilter !== undefined && !isValidTagFilter(project.tagFilter)) {
+        throw new Error('태그 필터 설정이 올바르지 않습니다.');
+    }
+    if (!['horizontal', 'vertical'].includes(project.orientation)) {
+        throw new Error('타임라인 방향 정보가 올바르지 않습니다.');
+    }
+    if (!Array.isArray(project.curveLayers) || project.curveLayers.length === 0 ||
+        !project.curveLayers.every(isValidCurveLayer)) {
+        throw new Error('곡선 데이터가 손상되었습니다.');
+    }
+    if (!Number.isInteger(project.activeCurveLayer) ||
+        project.activeCurveLayer < 0 || project.activeCurveLayer >= project.curveLayers.length) {
+        throw new Error('편집 중인 곡선 정보가 올바르지 않습니다.');
+    }
+
+    if (!Array.isArray(data.photos)) {
+        throw new Error('사진 목록이 없습니다.');
+    }
+    data.photos.forEach((photo, index) => {
+        const position = `${index + 1}번째 사진`;
+        if (!photo || typeof photo.name !== 'string') {
+            throw new Error(`${position}의 파일명이 없습니다.`);
+        }
+        if (typeof photo.data !== 'string' || !photo.data.startsWith('data:image/')) {
+            throw new Error(`${position}(${photo.name})의 이미지 데이터가 손상되었습니다.`);
+        }
+        if (isNaN(new Date(photo.captureDate).getTime())) {
+            throw new Error(`${position}(${photo.name})의 촬영 날짜가 올바르지 않습니다.`);
+        }
+        // Real UTC offsets run from -12:00 to +14:00
+        if (photo.captureOffset != null &&
+            (!Number.isInteger(photo.captureOffset) || Math.abs(photo.captureOffset) > 14 * 60)) {
+            throw new Error(`${position}(${photo.name})의 시간대 정보가 올바르지 않습니다.`);
+        }
+        if (photo.label !== null && photo.label !== undefined && typeof photo.label !== 'string') {
+            throw new Error(`${position}(${photo.name})의 라벨이 올바르지 않습니다.`);
+        }
+        // Caption, notes and tags are optional: older files don't have them
+        if (!isOptionalText(photo.caption) || !isOptionalText(photo.notes)) {
+            throw new Error(`${position}(${photo.name})의 캡션이나 메모가 올바르지 않습니다.`);
+        }
+        // Tags were plain strings before they had types
+        if (photo.tags !== undefined &&
+            !(Array.isArray(photo.tags) && photo.tags.every(tag => typeof tag === 'string' || isValidTag(tag)))) {
+            throw new Error(`${position}(${photo.name})의 태그가 올바르지 않습니다.`);
+        }
+        if (!isFiniteNumber(photo.emotion) || photo.emotion < -10 || photo.emotion > 10) {
+            throw new Error(`${position}(${photo.name})의 감정 레벨이 올바르지 않습니다.`);
+        }
+        // Duplicate detection hashes; files from before they existed have none
+        if (!isOptionalHash(photo.contentHash, 64) || !isOptionalHash(photo.perceptualHash, 16)) {
+            throw new Error(`${position}(${photo.name})의 중복 검사 정보가 올바르지 않습니다.`);
+        }
+    });
+}
+
+// ==================== Open ====================
+function dataURLToBlob(dataUrl, type) {
+    const [header, base64] = dataUrl.split(',');
+    const mimeType = type || header.slice(5).split(';')[0];
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType });
+}
+
+async function readProjectFile(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        throw new Error('파일이 손상되었거나 올바른 JSON 형식이 아닙니다.');
+    }
+
+    validateProjectFile(data);
+
+    const photos = await Promise.all(data.photos.map(async (saved) => {
+        let blob;
+        try {
+            blob = dataURLToBlob(saved.data, saved.type);
+        } catch (error) {
+            throw new Error(`${saved.name}의 이미지 데이터를 읽을 수 없습니다.`);
+        }
+
+        return {
+            id: Date.now() + Math.random(),
+            file: new File([blob], saved.name, { type: blob.type }),
+            thumbnail: await createThumbnailOrOriginal(blob),
+            captureDate: new Date(saved.captureDate),
+            captureOffset: saved.captureOffset ?? null,
+            exifData: saved.exif || null,
+            name: saved.name,
+            // Fallback dates keep their place on the axis, as on import
+            hasValidDate: saved.hasValidDate || null,
+            label: saved.label || undefined,
+            caption: saved.caption || undefined,
+            notes: saved.notes || undefined,
+            tags: normalizeTags(saved.tags),
+            emotion: saved.emotion,
+            // Missing hashes are computed when the next import checks for duplicates
+            contentHash: saved.contentHash ?? undefined,
+            perceptualHash: saved.perceptualHash ?? undefined,
+        };
+    }));
+
+    const curveLayers = data.project.curveLayers.map(saved => ({
+        ...createCurveLayer({
+            name: saved.name,
+            color: saved.color,
+            mode: saved.mode,
+            points: saved.points.map(point => ({ time: point.time, emotion: point.emotion })),
+        }),
+        visible: saved.visible,
+    }));
+
+    return {
+        photos,
+        range: data.project.range,
+        timezone: data.project.timezone || null,
+        eventGrouping: data.project.eventGrouping,
+        mapTiles: data.project.mapTiles || null,
+        tagFilter: data.project.tagFilter,
+        orientation: data.project.orientation,
+        curveLayers,
+        activeCurveLayerId: curveLayers[data.project.activeCurveLayer].id,
+    };
+}
@@ -0,0 +1,318 @@
+// ==================== Project Storage (IndexedDB) ====================
+const DB_NAME = 'life-curve';
+const DB_VERSION = 2; // 2 adds the thumbnails store
+const PROJECT_KEY = 'current';
+const PROJECT_SCHEMA_VERSION = 5;
+const AUTOSAVE_DELAY = 500;
+
+let dbPromise = null;
+let autosaveTimer = null;
+let autosaveEnabled = false;
+
+// Photo blobs and thumbnails already written to the database (neither changes
+// after import). Tracked apart: projects saved before thumbnails have blobs only.
+const persistedBlobIds = new Set();
+const persistedThumbnailIds = new Set();
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('project')) {
+                    db.createObjectStore('project');
+                }
+                if (!db.objectStoreNames.contains('blobs')) {
+                    db.createObjectStore('blobs');
+                }
+                if (!db.objectStoreNames.contains('thumbnails')) {
+                    db.createObjectStore('thumbnails');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+// ==================== Serialization ====================
+// Keep only plain EXIF values so records stay cloneable and small. Dates become
+// wall-clock strings, like captureDate, so they read back the same in any zone.
+function sanitizeExif(exifData) {
+    if (!exifData) return null;
+
+    const clean = {};
+    Object.keys(exifData).forEach(key => {
+        const value = exifData[key];
+        if (value instanceof Date) {
+            clean[key] = toWallClockString(value);
+        } else if (['string', 'number', 'boolean'].includes(typeof value)) {
+            clean[key] = value;
+        }
+    });
+    return clean;
+}
+
+function serializePhoto(photo) {
+    return {
+        id: photo.id,
+        name: photo.name,
+        captureDate: toWallClockString(photo.captureDate),
+        captureOffset: photo.captureOffset ?? null,
+        hasValidDate: photo.hasValidDate,
+        exifData: sanitizeExif(photo.exifData),
+        label: photo.label,
+        caption: photo.caption,
+        notes: photo.notes,
+        tags: photo.tags,
+        emotion: photo.emotion || 0,
+        contentHash: photo.contentHash,
+        perceptualHash: photo.perceptualHash,
+    };
+}
+
+function serializeProject() {
+    return {
+        schemaVersion: PROJECT_SCHEMA_VERSION,
+        savedAt: Date.now(),
+        view: state.view,
+        range: state.range,
+        compareYears: state.compareYears,
+        timezone: state.timezone,
+        eventGrouping: state.eventGrouping,
+        mapTiles: state.mapTiles,
+        tagFilter: state.tagFilter,
+        orientation: state.orientation,
+        curveLayers: state.curveLayers.map(layer => ({
+            ...layer,
+            points: layer.points.map(point => ({ ...point })),
+        })),
+        activeCurveLayerId: state.activeCurveLayerId,
+        photos: state.photos.map(serializePhoto),
+    };
+}
+
+function readBlobAsDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// ==================== Save ====================
+function saveProject() {
+    const photos = state.photos;
+    const project = serializeProject();
+    const currentIds = new Set(photos.map(p => p.id));
+
+    return openDatabase().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(['project', 'blobs', 'thumbnails'], 'readwrite');
+        const blobStore = tx.objectStore('blobs');
+        const thumbnailStore = tx.objectStore('thumbnails');
+        const written = [];
+        const removed = [];
+        const writtenThumbnails = [];
+        const removedThumbnails = [];
+
+        tx.objectStore('project').put(project, PROJECT_KEY);
+
+        photos.forEach(photo => {
+            if (!persistedBlobIds.has(photo.id) && photo.file) {
+                blobStore.put(photo.file, photo.id);
+                written.push(photo.id);
+            }
+            if (!persistedThumbnailIds.has(photo.id) && photo.thumbnail) {
+                thumbnailStore.put(photo.thumbnail, photo.id);
+                writtenThumbnails.push(photo.id);
+            }
+        });
+
+        persistedBlobIds.forEach(id => {
+            if (!currentIds.has(id)) {
+                blobStore.delete(id);
+                removed.push(id);
+            }
+        });
+        persistedThumbnailIds.forEach(id => {
+            if (!currentIds.has(id)) {
+                thumbnailStore.delete(id);
+                removedThumbnails.push(id);
+            }
+        });
+
+        tx.oncomplete = () => {
+            written.forEach(id => persistedBlobIds.add(id));
+            removed.forEach(id => persistedBlobIds.delete(id));
+            writtenThumbnails.forEach(id => persistedThumbnailIds.add(id));
+            removedThumbnails.forEach(id => persistedThumbnailIds.delete(id));
+            resolve();
+        };
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    }));
+}
+
+// Debounced autosave, called after every project mutation
+function scheduleAutosave() {
+    if (!autosaveEnabled) return;
+
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(flushAutosave, AUTOSAVE_DELAY);
+}
+
+function enableAutosave() {
+    autosaveEnabled = true;
+}
+
+function flushAutosave() {
+    if (!autosaveEnabled) return;
+
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    saveProject().catch(error => {
+        console.error('Autosave failed:', error);
+    });
+}
+
+// ==================== Migration ====================
+// Schema 1 stored pixel positions; schema 2 stored timeline space (day-of-year × emotion);
+// schema 3 stored the curve as control points instead of the raw drawn stream;
+// schema 4 replaces the single selectedYear with a range and days with timestamps;
+// schema 5 turns the single curve (curvePoints, curveMode) into curve layers
+function migrateSavedProject(project) {
+    const version = project.schemaVersion || 1;
+    const year = project.selectedYear || new Date().getFullYear();
+
+    if (version < 2) {
+        const layout = createTimelineLayout(project.orientation, 1200, 450, getYearRange(year));
+
+        project.photos = (project.photos || []).map(photo => {
+            const { timelineX, timelineY, initialTimelineY, ...rest } = photo;
+            // Only horizontal drags recorded an emotion; the canvas height was fixed at 450
+            const emotion = project.orientation === 'horizontal' && timelineY !== undefined
+                ? unprojectPoint(0, timelineY, layout).emotion
+                : 0;
+            return { ...rest, emotion: photo.emotion ?? emotion };
+        });
+        project.curvePoints = convertLegacyCurvePoints(
+            project.curvePoints || [], project.orientation, null, year
+        );
+    } else if (version < 4) {
+        project.curvePoints = convertDayPointsToTime(project.curvePoints || [], year);
+    }
+
+    if (version < 3) {
+        project.curvePoints = convertPointStreamToControlPoints(
+            project.curvePoints, project.orientation, year
+        );
+    }
+
+    if (version < 4) {
+        project.range = project.selectedYear ? { mode: 'year', year: project.selectedYear } : null;
+        delete project.selectedYear;
+    }
+
+    if (version < 5) {
+        project.curveLayers = createDefaultCurveLayers(project.curvePoints || [], project.curveMode || 'manual');
+        project.activeCurveLayerId = project.curveLayers[0].id;
+        delete project.curvePoints;
+        delete project.curveMode;
+    }
+
+    project.schemaVersion = PROJECT_SCHEMA_VERSION;
+    return project;
+}
+
+// ==================== Load ====================
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function loadSavedProject() {
+    const db = await openDatabase();
+    const tx = db.transaction(['project', 'blobs', 'thumbnails'], 'readonly');
+    const blobStore = tx.objectStore('blobs');
+    const thumbnailStore = tx.objectStore('thumbnails');
+
+    const [project, keys, blobs, thumbnailKeys, thumbnails] = await Promise.all([
+        requestToPromise(tx.objectStore('project').get(PROJECT_KEY)),
+        requestToPromise(blobStore.getAllKeys()),
+        requestToPromise(blobStore.getAll()),
+        requestToPromise(thumbnailStore.getAllKeys()),
+        requestToPromise(thumbnailStore.getAll()),
+    ]);
+
+    if (!project) return null;
+
+    const blobsById = new Map();
+    keys.forEach((key, index) => {
+        blobsById.set(key, blobs[index]);
+        persistedBlobIds.add(key);
+    });
+
+    const thumbnailsById = new Map();
+    thumbnailKeys.forEach((key, index) => {
+        thumbnailsById.set(key, thumbnails[index]);
+        persistedThumbnailIds.add(key);
+    });
+
+    return { project: migrateSavedProject(project), blobsById, thumbnailsById };
+}
+
+// Rebuild in-memory photos from a saved project and its blobs.
+// Thumbnails missing from older saves are made again (and saved on the next autosave).
+async function restorePhotos(savedPhotos, blobsById, thumbnailsById) {
+    const restored = await Promise.all(savedPhotos.map(async (saved) => {
+        const blob = blobsById.get(saved.id);
+        if (!blob) {
+            console.warn('Missing image data for saved photo:', saved.name);
+            return null;
+        }
+
+        return {
+            ...saved,
+            // Saved as a wall-clock string (older saves: a Date)
+            captureDate: new Date(saved.captureDate),
+            // Tags saved before they had types are plain strings
+            tags: normalizeTags(saved.tags),
+            file: blob,
+            thumbnail: thumbnailsById.get(saved.id) || await createThumbnailOrOriginal(blob),
+        };
+    }));
+
+    return restored.filter(Boolean);
+}
+
+function clearSavedProject() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+
+    return openDatabase().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(['project', 'blobs', 'thumbnails'], 'readwrite');
+        tx.objectStore('project').clear();
+        tx.objectStore('blobs').clear();
+        tx.objectStore('thumbnails').clear();
+        tx.oncomplete = () => {
+            persistedBlobIds.clear();
+            persistedThumbnailIds.clear();
+            resolve();
+        };
+        tx.onerror = () => reject(tx.error);
+    }));
+}
+
+// Save immediately when the tab is hidden so a reload never loses the last edit
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden' && autosaveTimer) {
+        flushAutosave();
+    }
+});
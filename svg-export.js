@@ -0,0 +1,255 @@
+// ==================== SVG Export ====================
+// Rebuilds the full timeline (zoom 1, no pan) as vector SVG: the same layout,
+// axis, month ticks, curve, photos and labels as the canvas renderers.
+// Photos are embedded as data URLs of the originals so the file stands alone.
+
+// 'rgba(r, g, b, a)' -> fill="rgb(r, g, b)" fill-opacity="a"; split so that
+// vector editors without CSS colour support still read the colours
+function svgPaint(attribute, color) {
+    const match = color.match(/^rgba?\(([^)]+)\)$/);
+    if (!match) return `${attribute}="${color}"`;
+
+    const [r, g, b, a = 1] = match[1].split(',').map(part => part.trim());
+    return `${attribute}="rgb(${r}, ${g}, ${b})" ${attribute}-opacity="${a}"`;
+}
+
+function svgLine(x1, y1, x2, y2, color, width, extra = '') {
+    return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" ${svgPaint('stroke', color)} stroke-width="${width}"${extra}/>`;
+}
+
+function svgText(text, x, y, { size = 12, weight = 'normal', anchor = 'middle', color = '#E6E6E6' } = {}) {
+    return `<text x="${x}" y="${y}" font-family="Inter, 'Noto Sans KR', sans-serif" font-size="${size}" ` +
+        `font-weight="${weight}" text-anchor="${anchor}" ${svgPaint('fill', color)}>${escapeHTML(text)}</text>`;
+}
+
+// Label boxes are sized from the same font metrics the canvas uses
+let svgMeasureContext = null;
+function measureSVGText(text, font) {
+    if (!svgMeasureContext) {
+        svgMeasureContext = document.createElement('canvas').getContext('2d');
+    }
+    svgMeasureContext.font = font;
+    return svgMeasureContext.measureText(text).width;
+}
+
+// Mirrors drawHorizontalAxis / drawVerticalAxis
+function buildSVGAxis(layout) {
+    const palette = getTimelinePalette();
+    const isHorizontal = layout.orientation === 'horizontal';
+    const center = layout.axisCenter;
+    const parts = [];
+
+    parts.push(isHorizontal
+        ? svgLine(layout.axisStart, center, layout.axisEnd, center, palette.axis, 2)
+        : svgLine(center, layout.axisStart, center, layout.axisEnd, palette.axis, 2));
+
+    getMonthTicks(layout).forEach(tick => {
+        const { x, y } = projectPoint(tick.time, 0, layout);
+        if (isHorizontal) {
+            parts.push(svgLine(x, center - 10, x, center + 10, palette.axis, 2));
+            parts.push(svgText(tick.label, x, center + 30, { color: palette.tickLabel }));
+        } else {
+            parts.push(svgLine(center - 10, y, center + 10, y, palette.axis, 2));
+            parts.push(svgText(tick.label, center - 20, y + 4, { anchor: 'end', color: palette.tickLabel }));
+        }
+    });
+
+    getYearSegments(layout).forEach((segment, index) => {
+        const boundary = projectPoint(segment.start, 0, layout);
+        const label = projectPoint(segment.center, 0, layout);
+        const dashed = ' stroke-dasharray="4 4"';
+
+        if (index > 0) {
+            parts.push(isHorizontal
+                ? svgLine(boundary.x, center - layout.emotionRange, boundary.x, center + layout.emotionRange,
+                    palette.boundary, 2, dashed)
+                : svgLine(center - layout.emotionRange, boundary.y, center + layout.emotionRange, boundary.y,
+                    palette.boundary, 2, dashed));
+        }
+
+        const style = { size: 13, weight: 'bold', color: palette.yearLabel };
+        parts.push(isHorizontal
+            ? svgText(segment.year, label.x, center + 50, style)
+            : svgText(segment.year, center - 60, label.y + 4, { ...style, anchor: 'end' }));
+    });
+
+    return parts.join('\n');
+}
+
+// Mirrors drawCurve: quadratic segments through the projected samples, clipped to the range.
+// Each layer glows in its own colour (curveGlow-<index>, see buildSVGCurveGlows).
+function buildSVGCurve({ layer, points: curvePoints }, index, layout) {
+    if (curvePoints.length < 2) return '';
+
+    const points = curvePoints.map(point => projectPoint(point.time, point.emotion, layout));
+    let d = `M ${points[0].x} ${points[0].y}`;
+    for (let i = 1; i < points.length - 1; i++) {
+        const xc = (points[i].x + points[i + 1].x) / 2;
+        const yc = (points[i].y + points[i + 1].y) / 2;
+        d += ` Q ${points[i].x} ${points[i].y} ${xc} ${yc}`;
+    }
+    const last = points[points.length - 1];
+    d += ` L ${last.x} ${last.y}`;
+
+    return `<path d="${d}" fill="none" ${svgPaint('stroke', getCurveLayerStyle(layer).color)} stroke-width="4" ` +
+        `stroke-linecap="round" stroke-linejoin="round" clip-path="url(#axisClip)" filter="url(#curveGlow-${index})"/>`;
+}
+
+function buildSVGCurveGlows(curves) {
+    return curves.map(({ layer }, index) => [
+        `    <filter id="curveGlow-${index}" x="-10%" y="-50%" width="120%" height="200%">`,
+        `        <feDropShadow dx="0" dy="0" stdDeviation="10" flood-color="${layer.color}" flood-opacity="0.5"/>`,
+        '    </filter>',
+    ].join('\n')).join('\n');
+}
+
+// Mirrors drawCurveLegend
+function buildSVGCurveLegend() {
+    const right = canvasWidth - 30;
+    const font = '12px Inter, sans-serif';
+
+    return getCurveLegendLayers().map((layer, index) => {
+        const y = 30 + index * 20;
+        const name = layer.name || '이름 없음';
+        const lineEnd = right - measureSVGText(name, font) - 10;
+        return [
+            svgText(name, right, y + 4, { anchor: 'end', color: getTimelinePalette().title }),
+            svgLine(lineEnd - 24, y, lineEnd, y, getCurveLayerStyle(layer).color, 3, ' stroke-linecap="round"'),
+        ].join('\n');
+    }).join('\n');
+}
+
+// Mirrors drawPhoto (without hover effects) and drawPhotoLabel, for a
+// placement from layoutTimelinePhotos; events also get drawPhotoStack and drawEventCount
+function buildSVGPhoto({ photo, photos, x, y }, imageData) {
+    const size = PHOTO_SIZE;
+    const half = size / 2;
+    const parts = [];
+
+    for (let i = Math.min(photos.length - 1, 2); i > 0; i--) {
+        const offset = i * STACK_OFFSET;
+        parts.push(`<rect x="${x - half + offset}" y="${y - half - offset}" width="${size}" height="${size}" rx="8" ` +
+            `fill="#00355C" ${svgPaint('stroke', 'rgba(230, 230, 230, 0.3)')} stroke-width="2"/>`);
+    }
+
+    parts.push(
+        `<rect x="${x - half}" y="${y - half}" width="${size}" height="${size}" rx="8" fill="#002A54" filter="url(#photoShadow)"/>`,
+        `<image x="${x - half}" y="${y - half}" width="${size}" height="${size}" preserveAspectRatio="none" ` +
+            `clip-path="url(#photoClip)" xlink:href="${imageData}"/>`,
+        `<rect x="${x - half}" y="${y - half}" width="${size}" height="${size}" rx="8" fill="none" ` +
+            `${svgPaint('stroke', 'rgba(230, 230, 230, 0.3)')} stroke-width="2"/>`
+    );
+
+    if (photos.length > 1) {
+        parts.push(
+            `<circle cx="${x + half}" cy="${y - half}" r="11" ${svgPaint('fill', 'rgba(237, 152, 80, 0.95)')}/>`,
+            svgText(photos.length > 99 ? '99+' : String(photos.length), x + half, y - half + 4,
+                { size: 11, weight: 'bold', color: '#ffffff' })
+        );
+    }
+
+    if (photo.label) {
+        const bgWidth = measureSVGText(photo.label, '11px Inter, sans-serif') + 12;
+        const labelY = y + half + 5;
+        parts.push(
+            `<rect x="${x - bgWidth / 2}" y="${labelY}" width="${bgWidth}" height="18" rx="4" ` +
+                `${svgPaint('fill', 'rgba(0, 31, 63, 0.9)')} ${svgPaint('stroke', 'rgba(237, 152, 80, 0.6)')} stroke-width="1"/>`,
+            svgText(photo.label, x, labelY + 13, { size: 11 })
+        );
+    }
+
+    // Photos the tag filter dims, as on the canvas
+    if (isEventDimmed(photos)) {
+        return `<g opacity="${DIMMED_PHOTO_ALPHA}">\n${parts.join('\n')}\n</g>`;
+    }
+    return parts.join('\n');
+}
+
+// Mirrors the leader lines of drawTimelinePhotos
+function buildSVGLeaderLine({ anchor, x, y }) {
+    if (Math.abs(anchor.x - x) < 1 && Math.abs(anchor.y - y) < 1) return '';
+
+    const color = getTimelinePalette().axis;
+    return svgLine(anchor.x, anchor.y, x, y, color, 1) +
+        `<circle cx="${anchor.x}" cy="${anchor.y}" r="3" ${svgPaint('fill', color)}/>`;
+}
+
+// Mirrors drawEmotionScaleReference at zoom 1
+function buildSVGEmotionScale(layout) {
+    if (layout.orientation !== 'horizontal') return '';
+
+    const palette = getTimelinePalette();
+    const x = canvasWidth - 80;
+    const center = layout.axisCenter;
+    const range = layout.emotionRange;
+
+    return [
+        svgLine(x, center - range, x, center + range, palette.scaleLine, 2),
+        svgLine(x - 5, center - range, x + 5, center - range, palette.scaleLine, 2),
+        svgLine(x - 8, center, x + 8, center, palette.scaleZero, 2),
+        svgLine(x - 5, center + range, x + 5, center + range, palette.scaleLine, 2),
+        svgText('+10', x + 10, center - range + 4, { size: 11, anchor: 'start', color: palette.scalePositive }),
+        svgText('0', x + 10, center + 4, { size: 11, anchor: 'start', color: palette.scaleNeutral }),
+        svgText('-10', x + 10, center + range + 4, { size: 11, anchor: 'start', color: palette.scaleNegative }),
+    ].join('\n');
+}
+
+// The regular timeline; the comparison view is canvas-only
+async function buildTimelineSVG() {
+    const layout = getTimelineLayout();
+    const isHorizontal = layout.orientation === 'horizontal';
+    const axisClip = isHorizontal
+        ? `<rect x="${layout.axisStart}" y="${-canvasHeight * 10}" width="${layout.axisEnd - layout.axisStart}" height="${canvasHeight * 20}"/>`
+        : `<rect x="${-canvasWidth * 10}" y="${layout.axisStart}" width="${canvasWidth * 20}" height="${layout.axisEnd - layout.axisStart}"/>`;
+
+    const curves = getDisplayedCurveLayers();
+    const placements = layoutTimelinePhotos(
+        getFilteredPhotos(state.photos).filter(photo => photo.hasValidDate !== false), layout);
+    const photos = [
+        ...placements.map(placement => buildSVGLeaderLine(placement)).filter(Boolean),
+        ...await Promise.all(placements.map(async (placement) =>
+            buildSVGPhoto(placement, await readBlobAsDataURL(placement.photo.file)))),
+    ];
+
+    const title = isHorizontal
+        ? svgText(getRangeLabel(), 30, 45, { size: 28, weight: 'bold', anchor: 'start', color: getTimelinePalette().title })
+        : svgText(getRangeLabel(), canvasWidth / 2, 45, { size: 28, weight: 'bold', color: getTimelinePalette().title });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"
+     width="${canvasWidth}" height="${canvasHeight}" viewBox="0 0 ${canvasWidth} ${canvasHeight}">
+<title>Life Curve · ${escapeHTML(getRangeLabel())}</title>
+<defs>
+    <linearGradient id="background" x1="0" y1="0" x2="1" y2="1">
+        <stop offset="0" stop-color="#001F3F"/>
+        <stop offset="1" stop-color="#002A54"/>
+    </linearGradient>
+    <clipPath id="axisClip">${axisClip}</clipPath>
+    <clipPath id="photoClip" clipPathUnits="objectBoundingBox"><rect width="1" height="1" rx="${8 / 60}"/></clipPath>
+${buildSVGCurveGlows(curves)}
+    <filter id="photoShadow" x="-30%" y="-30%" width="160%" height="160%">
+        <feDropShadow dx="0" dy="4" stdDeviation="5" flood-color="#000000" flood-opacity="0.5"/>
+    </filter>
+</defs>
+<rect width="${canvasWidth}" height="${canvasHeight}" fill="url(#background)"/>
+${curves.map((curve, index) => buildSVGCurve(curve, index, layout)).join('\n')}
+${buildSVGAxis(layout)}
+${photos.join('\n')}
+${title}
+${buildSVGEmotionScale(layout)}
+${buildSVGCurveLegend()}
+</svg>
+`;
+}
+
+async function exportTimelineSVG() {
+    const blob = new Blob([await buildTimelineSVG()], { type: 'image/svg+xml' });
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    const timestamp = new Date().toISOString().slice(0, 10);
+    link.download = `life-curve-${getRangeFileLabel()}-${timestamp}.svg`;
+    link.href = url;
+    link.click();
+    URL.revokeObjectURL(url);
+}
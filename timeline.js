@@ -2,13 +2,20 @@
 let canvas, ctx;
 let canvasWidth, canvasHeight;
 let isDrawing = false;
-let lastPoint = null;
 let isDraggingPhoto = false;
 let draggedPhoto = null;
 let hoveredPhoto = null;
 let clickStartPos = null;
 let clickStartTime = 0;
 
+// Curve editing
+let currentStroke = []; // stroke being drawn, in timeline space
+let selectedControlPoint = -1;
+let draggedControlPoint = -1;
+let controlPointMoved = false;
+let curveBeforeDrag = null;
+let dragStartEmotions = new Map(); // photo -> emotion, for every photo of the dragged event
+
 // Zoom and Pan
 let zoomLevel = 1;
 let panX = 0;
@@ -83,32 +90,328 @@ function updateCanvasSize() {
     container.style.height = canvasHeight + 'px';
 }
 
+// ==================== Timeline Range ====================
+// state.range is one of:
+//   { mode: 'year', year }                                   a single calendar year
+//   { mode: 'custom', start: 'YYYY-MM-DD', end: 'YYYY-MM-DD' } inclusive dates
+//   { mode: 'all' }                                          every year with data
+const DAY_MS = 1000 * 60 * 60 * 24;
+const MONTH_LABELS = ['1월', '2월', '3월', '4월', '5월', '6월', '7월', '8월', '9월', '10월', '11월', '12월'];
+
+function getYearRange(year) {
+    return {
+        start: new Date(year, 0, 1).getTime(),
+        end: new Date(year + 1, 0, 1).getTime(),
+    };
+}
+
+// 'YYYY-MM-DD' -> local midnight
+function parseInputDate(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+// 'YYYY-MM-DDTHH:mm' (datetime-local input) -> local time
+function parseInputDateTime(value) {
+    const [day, time = '00:00'] = value.split('T');
+    const [hours, minutes, seconds = 0] = time.split(':').map(Number);
+    const date = parseInputDate(day);
+    date.setHours(hours, minutes, seconds);
+    return date;
+}
+
+// Photos sit at their capture time, as shown in the project time zone
+function getPhotoTime(photo) {
+    return getPhotoDisplayDate(photo).getTime();
+}
+
+// Sorted years covered by dated photos and the control points of every curve
+function getDataYears() {
+    const years = new Set();
+    state.photos
+        .filter(photo => photo.hasValidDate !== false)
+        .forEach(photo => years.add(getPhotoDisplayDate(photo).getFullYear()));
+    state.curveLayers.forEach(layer => {
+        layer.points.forEach(point => years.add(new Date(point.time).getFullYear()));
+    });
+
+    return [...years].sort((a, b) => a - b);
+}
+
+// Resolve a range setting to { start, end } timestamps (end exclusive)
+function resolveTimelineRange(range = state.range) {
+    if (range.mode === 'custom') {
+        const start = parseInputDate(range.start).getTime();
+        const end = parseInputDate(range.end);
+        end.setDate(end.getDate() + 1);
+        return { start, end: Math.max(end.getTime(), start + DAY_MS) };
+    }
+
+    if (range.mode === 'all') {
+        const years = getDataYears();
+        if (years.length === 0) {
+            return getYearRange(new Date().getFullYear());
+        }
+        return {
+            start: new Date(years[0], 0, 1).getTime(),
+            end: new Date(years[years.length - 1] + 1, 0, 1).getTime(),
+        };
+    }
+
+    return getYearRange(range.year);
+}
+
+function getRangeLabel(range = state.range) {
+    if (range.mode === 'year') {
+        return `${range.year}`;
+    }
+
+    const { start, end } = resolveTimelineRange(range);
+    const first = new Date(start);
+    const last = new Date(end - 1);
+
+    if (range.mode === 'all') {
+        return first.getFullYear() === last.getFullYear()
+            ? `${first.getFullYear()}`
+            : `${first.getFullYear()} – ${last.getFullYear()}`;
+    }
+    return `${formatDate(first)} – ${formatDate(last)}`;
+}
+
+// Range label safe for file names, e.g. "2024" or "2023-03-01_2024-02-29"
+function getRangeFileLabel(range = state.range) {
+    if (range.mode === 'year') {
+        return `${range.year}`;
+    }
+
+    const { start, end } = resolveTimelineRange(range);
+    return `${formatDateForInput(new Date(start))}_${formatDateForInput(new Date(end - 1))}`;
+}
+
+function isTimeInLayout(time, layout) {
+    return time >= layout.start && time < layout.end;
+}
+
+// Month ticks at the middle of each month (clipped to the range), thinned out when crowded
+function getMonthTicks(layout) {
+    const axisLength = layout.axisEnd - layout.axisStart;
+    const monthCount = (layout.end - layout.start) / (DAY_MS * 30.44);
+    const pixelsPerMonth = axisLength / monthCount;
+    const step = pixelsPerMonth >= 28 ? 1 : pixelsPerMonth >= 10 ? 3 : 0;
+    if (step === 0) return [];
+
+    const ticks = [];
+    const first = new Date(layout.start);
+    const cursor = new Date(first.getFullYear(), first.getMonth(), 1);
+
+    while (cursor.getTime() < layout.end) {
+        const month = cursor.getMonth();
+        const monthStart = Math.max(cursor.getTime(), layout.start);
+        const monthEnd = Math.min(new Date(cursor.getFullYear(), month + 1, 1).getTime(), layout.end);
+
+        if (month % step === 0) {
+            ticks.push({ time: (monthStart + monthEnd) / 2, label: MONTH_LABELS[month] });
+        }
+        cursor.setMonth(month + 1);
+    }
+
+    return ticks;
+}
+
+// Year segments for ranges that cross a new year: boundary at Jan 1, label in the middle
+function getYearSegments(layout) {
+    const firstYear = new Date(layout.start).getFullYear();
+    const lastYear = new Date(layout.end - 1).getFullYear();
+    if (firstYear === lastYear) return [];
+
+    const segments = [];
+    for (let year = firstYear; year <= lastYear; year++) {
+        const start = Math.max(new Date(year, 0, 1).getTime(), layout.start);
+        const end = Math.min(new Date(year + 1, 0, 1).getTime(), layout.end);
+        segments.push({ year, start, center: (start + end) / 2 });
+    }
+    return segments;
+}
+
+// ==================== Timeline Space ====================
+// Photos and curve points are stored as (time, emotion -10..+10), where time is a
+// timestamp, and projected onto the canvas through the current layout on every
+// render, so they stay on their dates across zoom, resize, orientation and range changes.
+const TIMELINE_PADDING = 80;
+const MAX_EMOTION = 10;
+
+function createTimelineLayout(orientation, width, height, range) {
+    const { start, end } = range;
+
+    if (orientation === 'horizontal') {
+        return {
+            orientation,
+            start,
+            end,
+            axisStart: TIMELINE_PADDING,
+            axisEnd: width - TIMELINE_PADDING,
+            axisCenter: height / 2,
+            emotionRange: height / 4, // distance of emotion ±10 from the axis
+        };
+    }
+
+    return {
+        orientation,
+        start,
+        end,
+        axisStart: TIMELINE_PADDING,
+        axisEnd: height - TIMELINE_PADDING,
+        axisCenter: width / 2,
+        emotionRange: width / 4,
+    };
+}
+
+function getTimelineLayout() {
+    return createTimelineLayout(state.orientation, canvasWidth, canvasHeight, resolveTimelineRange());
+}
+
+function clampEmotion(emotion) {
+    return Math.max(-MAX_EMOTION, Math.min(MAX_EMOTION, emotion));
+}
+
+// Timeline space -> canvas coordinates (before zoom/pan)
+function projectPoint(time, emotion, layout = getTimelineLayout()) {
+    const along = layout.axisStart +
+        (layout.axisEnd - layout.axisStart) * (time - layout.start) / (layout.end - layout.start);
+    const across = (emotion / MAX_EMOTION) * layout.emotionRange;
+
+    if (layout.orientation === 'horizontal') {
+        return { x: along, y: layout.axisCenter - across };
+    }
+    // Vertical timeline: positive emotion to the right of the axis
+    return { x: layout.axisCenter + across, y: along };
+}
+
+// Canvas coordinates (before zoom/pan) -> timeline space
+function unprojectPoint(x, y, layout = getTimelineLayout()) {
+    const isHorizontal = layout.orientation === 'horizontal';
+    const along = isHorizontal ? x : y;
+    const across = isHorizontal ? layout.axisCenter - y : x - layout.axisCenter;
+
+    return {
+        time: layout.start +
+            (along - layout.axisStart) / (layout.axisEnd - layout.axisStart) * (layout.end - layout.start),
+        emotion: clampEmotion((across / layout.emotionRange) * MAX_EMOTION),
+    };
+}
+
+// Mouse event -> canvas coordinates with zoom/pan removed
+function getCanvasPoint(e) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: (e.clientX - rect.left - panX) / zoomLevel,
+        y: (e.clientY - rect.top - panY) / zoomLevel,
+    };
+}
+
+// Convert pixel curve points from projects saved before timeline space existed.
+// canvasSize may be unknown for old saves; fall back to the default canvas size.
+function convertLegacyCurvePoints(points, orientation, canvasSize, year) {
+    const size = canvasSize || (orientation === 'horizontal'
+        ? { width: 1200, height: 450 }
+        : { width: 800, height: 800 });
+    const layout = createTimelineLayout(orientation, size.width, size.height, getYearRange(year));
+
+    return points.map(point => unprojectPoint(point.x, point.y, layout));
+}
+
+// Convert day-of-year points from projects saved before multi-year ranges existed
+function convertDayPointsToTime(points, year) {
+    const origin = new Date(year, 0, 0).getTime(); // day 1 is Jan 1, as in getDayOfYear
+    return points.map(point => ({ time: origin + point.day * DAY_MS, emotion: point.emotion }));
+}
+
+// ==================== Background and Palette ====================
+// Exports can render on white or transparent; the app itself always uses 'theme'.
+// Axis and text colours follow the background so they stay readable.
+let timelineBackground = 'theme'; // 'theme' | 'white' | 'transparent'
+
+const TIMELINE_PALETTES = {
+    dark: {
+        axis: 'rgba(230, 230, 230, 0.3)',
+        tickLabel: 'rgba(230, 230, 230, 0.8)',
+        boundary: 'rgba(230, 230, 230, 0.25)',
+        yearLabel: 'rgba(247, 185, 128, 0.9)',
+        title: 'rgba(230, 230, 230, 0.9)',
+        scaleLine: 'rgba(255, 255, 255, 0.2)',
+        scaleZero: 'rgba(255, 255, 255, 0.3)',
+        scalePositive: 'rgba(243, 198, 35, 0.9)',
+        scaleNeutral: 'rgba(16, 55, 92, 0.7)',
+        scaleNegative: 'rgba(16, 55, 92, 0.9)',
+    },
+    light: {
+        axis: 'rgba(0, 31, 63, 0.35)',
+        tickLabel: 'rgba(0, 31, 63, 0.8)',
+        boundary: 'rgba(0, 31, 63, 0.25)',
+        yearLabel: 'rgba(217, 122, 43, 0.95)',
+        title: 'rgba(0, 31, 63, 0.9)',
+        scaleLine: 'rgba(0, 31, 63, 0.3)',
+        scaleZero: 'rgba(0, 31, 63, 0.45)',
+        scalePositive: 'rgba(217, 122, 43, 0.95)',
+        scaleNeutral: 'rgba(16, 55, 92, 0.7)',
+        scaleNegative: 'rgba(16, 55, 92, 0.9)',
+    },
+};
+
+function getTimelinePalette() {
+    return TIMELINE_PALETTES[timelineBackground === 'white' ? 'light' : 'dark'];
+}
+
+function drawTimelineBackground() {
+    if (timelineBackground === 'transparent') return;
+
+    const frame = getFrameSize();
+    if (timelineBackground === 'white') {
+        ctx.fillStyle = '#ffffff';
+    } else {
+        const gradient = ctx.createLinearGradient(0, 0, frame.width, frame.height);
+        gradient.addColorStop(0, '#001F3F');
+        gradient.addColorStop(1, '#002A54');
+        ctx.fillStyle = gradient;
+    }
+    ctx.fillRect(0, 0, frame.width, frame.height);
+}
+
 // ==================== Render Timeline ====================
 function renderTimeline() {
+    const frame = getFrameSize();
+
     // Clear canvas
-    ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+    ctx.clearRect(0, 0, frame.width, frame.height);
 
-    // Draw background gradient
-    const gradient = ctx.createLinearGradient(0, 0, canvasWidth, canvasHeight);
-    gradient.addColorStop(0, '#001F3F');
-    gradient.addColorStop(1, '#002A54');
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+    drawTimelineBackground();
 
     // Save context and apply zoom/pan transformations
     ctx.save();
     ctx.translate(panX, panY);
     ctx.scale(zoomLevel, zoomLevel);
 
-    // Draw curve first (behind photos)
-    if (state.curvePoints.length > 0) {
-        drawCurve();
-    }
-
-    if (state.orientation === 'horizontal') {
-        renderHorizontalTimeline();
+    if (isCompareMode()) {
+        renderComparison();
     } else {
-        renderVerticalTimeline();
+        // Draw the curves first (behind photos), in layer order
+        getDisplayedCurveLayers().forEach(({ layer, points }) => {
+            drawCurve(points, getCurveLayerStyle(layer));
+        });
+
+        if (state.orientation === 'horizontal') {
+            renderHorizontalTimeline();
+        } else {
+            renderVerticalTimeline();
+        }
+
+        // Curve editing overlays sit above the photos
+        if (currentStroke.length > 1) {
+            drawStrokePreview();
+        }
+        if (state.isDrawingMode && getActiveCurveLayer().mode === 'manual') {
+            drawControlPoints();
+        }
     }
 
     // Restore context before drawing UI elements
@@ -119,18 +422,213 @@ function renderTimeline() {
 
     // Draw emotion scale reference
     drawEmotionScaleReference();
+
+    if (isCompareMode()) {
+        drawCompareLegend();
+    } else {
+        drawCurveLegend();
+    }
+
+    // The map highlights whatever is now on screen
+    if (!renderFrame) {
+        schedulePhotoMapRender();
+    }
+}
+
+// ==================== Off-screen Rendering ====================
+// A view is the frame to render: its size in canvas pixels and the zoom/pan
+// that places the timeline in it (same meaning as zoomLevel, panX and panY).
+let renderFrame = null; // { width, height } while rendering a view off-screen
+
+// Size of the frame being drawn; fixed overlays are positioned against it
+function getFrameSize() {
+    return renderFrame || { width: canvasWidth, height: canvasHeight };
+}
+
+// The whole timeline at zoom 1, as laid out on the canvas
+function getFullView() {
+    return { width: canvasWidth, height: canvasHeight, zoom: 1, panX: 0, panY: 0 };
+}
+
+// Exactly what is on screen, including zoom and pan
+function getViewportView() {
+    return { width: canvasWidth, height: canvasHeight, zoom: zoomLevel, panX, panY };
+}
+
+// A rectangle of timeline space ({ left, top, right, bottom } at zoom 1)
+function getRegionView(bounds) {
+    return {
+        width: Math.ceil(bounds.right - bounds.left),
+        height: Math.ceil(bounds.bottom - bounds.top),
+        zoom: 1,
+        panX: -bounds.left,
+        panY: -bounds.top,
+    };
+}
+
+// Render `view` (the full timeline by default) into a new canvas at `scale`
+// times its size, without hover or editing overlays. The drawing is redone
+// at the target resolution rather than scaling a bitmap. Call preloadPhotoImages
+// first: images that are still loading would be skipped.
+function renderTimelineToCanvas(scale, { background = 'theme', view = getFullView() } = {}) {
+    const target = document.createElement('canvas');
+    target.width = Math.round(view.width * scale);
+    target.height = Math.round(view.height * scale);
+
+    const saved = {
+        ctx, zoomLevel, panX, panY, hoveredPhoto, timelineBackground, isDrawingMode: state.isDrawingMode,
+    };
+    ctx = target.getContext('2d');
+    ctx.scale(scale, scale);
+    zoomLevel = view.zoom;
+    panX = view.panX;
+    panY = view.panY;
+    renderFrame = { width: view.width, height: view.height };
+    hoveredPhoto = null;
+    timelineBackground = background;
+    state.isDrawingMode = false;
+
+    try {
+        renderTimeline();
+    } finally {
+        ctx = saved.ctx;
+        zoomLevel = saved.zoomLevel;
+        panX = saved.panX;
+        panY = saved.panY;
+        renderFrame = null;
+        hoveredPhoto = saved.hoveredPhoto;
+        timelineBackground = saved.timelineBackground;
+        state.isDrawingMode = saved.isDrawingMode;
+    }
+
+    return target;
+}
+
+// ==================== Content Bounds ====================
+// Extent of everything drawn in timeline space (zoom 1): axis and its labels,
+// photos with their labels, the curve and the "no date" zone. Mirrors the
+// geometry of the draw functions. With `span` ({ start, end }) only content
+// dated inside it counts, and the axis is cut to it. Returns null when empty.
+function getContentBounds(span = null) {
+    const layout = isCompareMode() ? getCompareLayout() : getTimelineLayout();
+    const isHorizontal = layout.orientation === 'horizontal';
+    const start = span ? Math.max(span.start, layout.start) : layout.start;
+    const end = span ? Math.min(span.end, layout.end) : layout.end;
+    if (start >= end) return null;
+
+    let bounds = null;
+    const include = (left, top, right, bottom) => {
+        bounds = bounds
+            ? {
+                left: Math.min(bounds.left, left),
+                top: Math.min(bounds.top, top),
+                right: Math.max(bounds.right, right),
+                bottom: Math.max(bounds.bottom, bottom),
+            }
+            : { left, top, right, bottom };
+    };
+    const includePoint = (point, margin) => {
+        include(point.x - margin, point.y - margin, point.x + margin, point.y + margin);
+    };
+    const inSpan = time => time >= start && time < end;
+
+    // Axis line with month and year labels
+    const axisFrom = projectPoint(start, 0, layout);
+    const axisTo = projectPoint(end, 0, layout);
+    const crossesYear = getYearSegments(layout).length > 0;
+    if (isHorizontal) {
+        const extent = crossesYear ? layout.emotionRange : 10;
+        include(axisFrom.x, layout.axisCenter - extent, axisTo.x,
+            Math.max(layout.axisCenter + 55, layout.axisCenter + extent));
+    } else {
+        const extent = crossesYear ? layout.emotionRange : 10;
+        include(Math.min(layout.axisCenter - 100, layout.axisCenter - extent), axisFrom.y,
+            layout.axisCenter + extent, axisTo.y);
+    }
+
+    // Curves, with room for the line width and glow
+    const curves = isCompareMode()
+        ? state.compareYears.map(year => getYearCurveSamples(year))
+        : getDisplayedCurveLayers().map(({ points }) => points);
+    curves.forEach(samples => {
+        samples
+            .filter(point => inSpan(point.time))
+            .forEach(point => includePoint(projectPoint(point.time, point.emotion, layout), 12));
+    });
+
+    const datedPhotos = state.photos.filter(photo => photo.hasValidDate !== false);
+
+    if (isCompareMode()) {
+        // Photo dots of the compared years
+        datedPhotos
+            .filter(photo => state.compareYears.includes(getPhotoDisplayDate(photo).getFullYear()))
+            .map(photo => ({ time: toReferenceYearTime(getPhotoTime(photo)), emotion: photo.emotion || 0 }))
+            .filter(point => inSpan(point.time))
+            .forEach(point => includePoint(projectPoint(point.time, point.emotion, layout), 6));
+        return bounds;
+    }
+
+    // Photos (60px, with shadow) and their labels, where the layout puts them
+    ctx.save();
+    ctx.font = '11px Inter, sans-serif';
+    const shownPhotos = getFilteredPhotos(datedPhotos);
+    const spanPhotos = new Set(shownPhotos.filter(photo => inSpan(getPhotoTime(photo))));
+    layoutTimelinePhotos(shownPhotos, layout)
+        .filter(({ photos }) => photos.some(photo => spanPhotos.has(photo)))
+        .forEach(({ photo, photos, x, y }) => {
+            // Stacked events add cards and a count badge at the top right
+            const stackExtent = photos.length > 1 ? 2 : 0;
+            include(x - 40, y - 40 - stackExtent, x + 40 + stackExtent, y + 44);
+
+            if (photo.label) {
+                const halfWidth = ctx.measureText(photo.label).width / 2 + 7;
+                include(x - halfWidth, y + 34, x + halfWidth, y + 54);
+            }
+        });
+    ctx.restore();
+
+    // The "no date" zone belongs to the whole timeline, not to a date range
+    const undated = state.photos.length - datedPhotos.length;
+    if (undated > 0 && !span) {
+        const zone = isHorizontal
+            ? { x: layout.axisStart, y: 50, width: 200, height: 150 }
+            : { x: 50, y: layout.axisStart, width: 150, height: 200 };
+        const cols = Math.floor((zone.width - 20) / 60);
+        const gridBottom = zone.y + 50 + Math.ceil(undated / cols) * 60;
+        include(zone.x - 2, zone.y - 2, zone.x + zone.width + 2, Math.max(zone.y + zone.height, gridBottom) + 2);
+    }
+
+    return bounds;
 }
 
 // ==================== Horizontal Timeline ====================
 function renderHorizontalTimeline() {
-    const padding = 80;
-    const timelineY = canvasHeight / 2;
-    const timelineStart = padding;
-    const timelineEnd = canvasWidth - padding;
-    const timelineLength = timelineEnd - timelineStart;
+    const layout = getTimelineLayout();
+    drawHorizontalAxis(layout);
+
+    // Separate photos with and without metadata; the tag filter may hide some
+    const shownPhotos = getFilteredPhotos(state.photos);
+    const photosWithDate = shownPhotos.filter(p => p.hasValidDate !== false);
+    const photosWithoutDate = shownPhotos.filter(p => p.hasValidDate === false);
+
+    // Position and draw photos with dates
+    drawTimelinePhotos(photosWithDate, layout);
+
+    // Draw "No Date" zone for photos without metadata
+    if (photosWithoutDate.length > 0) {
+        drawNoDateZone(layout.axisStart, 50, 200, 150, photosWithoutDate);
+    }
+}
+
+// Axis line, month markers and year boundaries
+function drawHorizontalAxis(layout) {
+    const palette = getTimelinePalette();
+    const timelineY = layout.axisCenter;
+    const timelineStart = layout.axisStart;
+    const timelineEnd = layout.axisEnd;
 
     // Draw main timeline axis
-    ctx.strokeStyle = 'rgba(230, 230, 230, 0.3)';
+    ctx.strokeStyle = palette.axis;
     ctx.lineWidth = 2;
     ctx.beginPath();
     ctx.moveTo(timelineStart, timelineY);
@@ -139,13 +637,11 @@ function renderHorizontalTimeline() {
 
     // Draw month markers
     ctx.font = '12px Inter, sans-serif';
-    ctx.fillStyle = 'rgba(230, 230, 230, 0.8)';
+    ctx.fillStyle = palette.tickLabel;
     ctx.textAlign = 'center';
 
-    const months = ['1월', '2월', '3월', '4월', '5월', '6월', '7월', '8월', '9월', '10월', '11월', '12월'];
-
-    for (let i = 0; i < 12; i++) {
-        const x = timelineStart + (timelineLength / 12) * (i + 0.5);
+    getMonthTicks(layout).forEach(tick => {
+        const { x } = projectPoint(tick.time, 0, layout);
 
         // Month marker
         ctx.beginPath();
@@ -154,49 +650,62 @@ function renderHorizontalTimeline() {
         ctx.stroke();
 
         // Month label
-        ctx.fillText(months[i], x, timelineY + 30);
-    }
+        ctx.fillText(tick.label, x, timelineY + 30);
+    });
 
-    // Separate photos with and without metadata
-    const photosWithDate = state.photos.filter(p => p.hasValidDate !== false);
-    const photosWithoutDate = state.photos.filter(p => p.hasValidDate === false);
+    // Draw year boundaries and labels for multi-year ranges
+    getYearSegments(layout).forEach((segment, index) => {
+        const boundaryX = projectPoint(segment.start, 0, layout).x;
+        const labelX = projectPoint(segment.center, 0, layout).x;
 
-    // Position and draw photos with dates
-    photosWithDate.forEach(photo => {
-        const date = photo.captureDate;
-        const dayOfYear = getDayOfYear(date);
-        const totalDays = isLeapYear(state.selectedYear) ? 366 : 365;
+        if (index > 0) {
+            ctx.save();
+            ctx.strokeStyle = palette.boundary;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(boundaryX, timelineY - layout.emotionRange);
+            ctx.lineTo(boundaryX, timelineY + layout.emotionRange);
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        ctx.save();
+        ctx.font = 'bold 13px Inter, sans-serif';
+        ctx.fillStyle = palette.yearLabel;
+        ctx.fillText(segment.year, labelX, timelineY + 50);
+        ctx.restore();
+    });
+}
 
-        const x = timelineStart + (timelineLength * dayOfYear / totalDays);
 
-        // Initialize timelineY only once (allows vertical dragging)
-        if (photo.timelineY === undefined) {
-            photo.timelineY = timelineY;
-        }
+// ==================== Vertical Timeline ====================
+function renderVerticalTimeline() {
+    const layout = getTimelineLayout();
+    drawVerticalAxis(layout);
 
-        // Always update X position based on date
-        photo.timelineX = x;
+    // Separate photos with and without metadata; the tag filter may hide some
+    const shownPhotos = getFilteredPhotos(state.photos);
+    const photosWithDate = shownPhotos.filter(p => p.hasValidDate !== false);
+    const photosWithoutDate = shownPhotos.filter(p => p.hasValidDate === false);
 
-        drawPhoto(photo, x, photo.timelineY);
-    });
+    // Position and draw photos with dates
+    drawTimelinePhotos(photosWithDate, layout);
 
     // Draw "No Date" zone for photos without metadata
     if (photosWithoutDate.length > 0) {
-        drawNoDateZone(timelineStart, 50, 200, 150, photosWithoutDate);
+        drawNoDateZone(50, layout.axisStart, 150, 200, photosWithoutDate);
     }
 }
 
-
-// ==================== Vertical Timeline ====================
-function renderVerticalTimeline() {
-    const padding = 80;
-    const timelineX = canvasWidth / 2;
-    const timelineStart = padding;
-    const timelineEnd = canvasHeight - padding;
-    const timelineLength = timelineEnd - timelineStart;
+// Axis line, month markers and year boundaries
+function drawVerticalAxis(layout) {
+    const palette = getTimelinePalette();
+    const timelineX = layout.axisCenter;
+    const timelineStart = layout.axisStart;
+    const timelineEnd = layout.axisEnd;
 
     // Draw main timeline axis
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.strokeStyle = palette.axis;
     ctx.lineWidth = 2;
     ctx.beginPath();
     ctx.moveTo(timelineX, timelineStart);
@@ -205,13 +714,11 @@ function renderVerticalTimeline() {
 
     // Draw month markers
     ctx.font = '12px Inter, sans-serif';
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.fillStyle = palette.tickLabel;
     ctx.textAlign = 'right';
 
-    const months = ['1월', '2월', '3월', '4월', '5월', '6월', '7월', '8월', '9월', '10월', '11월', '12월'];
-
-    for (let i = 0; i < 12; i++) {
-        const y = timelineStart + (timelineLength / 12) * (i + 0.5);
+    getMonthTicks(layout).forEach(tick => {
+        const { y } = projectPoint(tick.time, 0, layout);
 
         // Month marker
         ctx.beginPath();
@@ -220,36 +727,202 @@ function renderVerticalTimeline() {
         ctx.stroke();
 
         // Month label
-        ctx.fillText(months[i], timelineX - 20, y + 4);
-    }
+        ctx.fillText(tick.label, timelineX - 20, y + 4);
+    });
 
-    // Separate photos with and without metadata
-    const photosWithDate = state.photos.filter(p => p.hasValidDate !== false);
-    const photosWithoutDate = state.photos.filter(p => p.hasValidDate === false);
+    // Draw year boundaries and labels for multi-year ranges
+    getYearSegments(layout).forEach((segment, index) => {
+        const boundaryY = projectPoint(segment.start, 0, layout).y;
+        const labelY = projectPoint(segment.center, 0, layout).y;
 
-    // Position and draw photos with dates
-    photosWithDate.forEach(photo => {
-        const date = photo.captureDate;
-        const dayOfYear = getDayOfYear(date);
-        const totalDays = isLeapYear(state.selectedYear) ? 366 : 365;
+        if (index > 0) {
+            ctx.save();
+            ctx.strokeStyle = palette.boundary;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(timelineX - layout.emotionRange, boundaryY);
+            ctx.lineTo(timelineX + layout.emotionRange, boundaryY);
+            ctx.stroke();
+            ctx.restore();
+        }
 
-        const y = timelineStart + (timelineLength * dayOfYear / totalDays);
+        ctx.save();
+        ctx.font = 'bold 13px Inter, sans-serif';
+        ctx.fillStyle = palette.yearLabel;
+        ctx.fillText(segment.year, timelineX - 60, labelY + 4);
+        ctx.restore();
+    });
+}
 
-        // Initialize timelineX only once (allows horizontal dragging)
-        if (photo.timelineX === undefined) {
-            photo.timelineX = timelineX;
+// ==================== Photo Layout ====================
+// Photos a few days apart project to almost the same point and would hide each
+// other. Each photo keeps its emotion exactly and is slid along the time axis
+// to the nearest free spot; a leader line ties it back to its true date.
+const PHOTO_SIZE = 60;
+const PHOTO_SPACING = PHOTO_SIZE + 6;
+
+// items: [{ along, across }] in placement order. Returns the `along` of each so
+// that no two items come closer than `spacing` on both axes. Self-contained:
+// the interactive HTML export embeds it with toString().
+function spreadAlongAxis(items, spacing) {
+    const placed = [];
+
+    return items.map(item => {
+        // Stretches of the axis taken by placed items in the same emotion band
+        const blocked = placed
+            .filter(other => Math.abs(other.across - item.across) < spacing)
+            .map(other => [other.along - spacing, other.along + spacing])
+            .sort((a, b) => a[0] - b[0]);
+
+        const merged = [];
+        blocked.forEach(([start, end]) => {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1]) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+        });
+
+        // Inside a taken stretch: move to whichever end is closer (later on ties)
+        let along = item.along;
+        const taken = merged.find(([start, end]) => start < along && along < end);
+        if (taken) {
+            along = along - taken[0] < taken[1] - along ? taken[0] : taken[1];
         }
 
-        // Always update Y position based on date
-        photo.timelineY = y;
+        placed.push({ along, across: item.across });
+        return along;
+    });
+}
+
+// Where the dated photos in range are drawn: [{ photo, photos, anchor, x, y }].
+// Each entry is an event (see groupPhotosIntoEvents): `photo` is its cover,
+// `photos` all of its photos, and anchor the projected point of their mean date
+// and emotion, so a single photo's anchor is its true position. The dragged
+// event is placed first so it stays under the pointer; the rest follow in date order.
+function layoutTimelinePhotos(photos, layout) {
+    const isHorizontal = layout.orientation === 'horizontal';
+    const average = (list, value) => list.reduce((sum, item) => sum + value(item), 0) / list.length;
+
+    const inRange = photos.filter(photo => isTimeInLayout(getPhotoTime(photo), layout));
+    const entries = groupPhotosIntoEvents(inRange)
+        .sort((a, b) => (b.cover === draggedPhoto) - (a.cover === draggedPhoto))
+        .map(event => ({
+            photo: event.cover,
+            photos: event.photos,
+            anchor: projectPoint(
+                average(event.photos, getPhotoTime),
+                average(event.photos, photo => photo.emotion || 0),
+                layout
+            ),
+        }));
+
+    const spread = spreadAlongAxis(entries.map(({ anchor }) => (isHorizontal
+        ? { along: anchor.x, across: anchor.y }
+        : { along: anchor.y, across: anchor.x })), PHOTO_SPACING);
+
+    return entries.map((entry, index) => (isHorizontal
+        ? { ...entry, x: spread[index], y: entry.anchor.y }
+        : { ...entry, x: entry.anchor.x, y: spread[index] }));
+}
+
+// Cover photo -> photos of its event, as of the last render
+let timelineEvents = new Map();
+
+function getEventPhotos(photo) {
+    return timelineEvents.get(photo) || [photo];
+}
 
-        drawPhoto(photo, photo.timelineX, y);
+// Draw the dated photos at their laid-out positions.
+// timelineX/timelineY are render output, used for hit testing; only event
+// covers get them, and photos outside the range get none, so the rest cannot
+// be hovered or dragged; nor do photos the tag filter hides.
+function drawTimelinePhotos(photos, layout) {
+    state.photos.forEach(photo => {
+        delete photo.timelineX;
+        delete photo.timelineY;
     });
 
-    // Draw "No Date" zone for photos without metadata
-    if (photosWithoutDate.length > 0) {
-        drawNoDateZone(50, timelineStart, 150, 200, photosWithoutDate);
+    const placements = layoutTimelinePhotos(photos, layout);
+    timelineEvents = new Map(placements.map(placement => [placement.photo, placement.photos]));
+
+    // Leader lines from moved photos back to their dates
+    ctx.save();
+    ctx.strokeStyle = getTimelinePalette().axis;
+    ctx.fillStyle = getTimelinePalette().axis;
+    ctx.lineWidth = 1;
+    placements.forEach(({ anchor, x, y }) => {
+        if (Math.abs(anchor.x - x) < 1 && Math.abs(anchor.y - y) < 1) return;
+        ctx.beginPath();
+        ctx.moveTo(anchor.x, anchor.y);
+        ctx.lineTo(x, y);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(anchor.x, anchor.y, 3, 0, Math.PI * 2);
+        ctx.fill();
+    });
+    ctx.restore();
+
+    // The hovered or dragged photo is drawn last, on top of its neighbours
+    const active = draggedPhoto || hoveredPhoto;
+    placements
+        .sort((a, b) => (a.photo === active) - (b.photo === active))
+        .forEach(({ photo, photos: eventPhotos, x, y }) => {
+            photo.timelineX = x;
+            photo.timelineY = y;
+            ctx.save();
+            if (isEventDimmed(eventPhotos)) {
+                ctx.globalAlpha = DIMMED_PHOTO_ALPHA;
+            }
+            if (eventPhotos.length > 1) {
+                drawPhotoStack(eventPhotos.length, x, y);
+            }
+            drawPhoto(photo, x, y);
+            if (eventPhotos.length > 1) {
+                drawEventCount(eventPhotos.length, x, y);
+            }
+            ctx.restore();
+        });
+}
+
+// Cards peeking out behind an event's cover; two at most
+const STACK_OFFSET = 4;
+
+function drawPhotoStack(count, x, y) {
+    const halfSize = PHOTO_SIZE / 2;
+
+    ctx.save();
+    ctx.fillStyle = '#00355C';
+    ctx.strokeStyle = 'rgba(230, 230, 230, 0.3)';
+    ctx.lineWidth = 2;
+    for (let i = Math.min(count - 1, 2); i > 0; i--) {
+        const offset = i * STACK_OFFSET;
+        ctx.beginPath();
+        roundRect(ctx, x - halfSize + offset, y - halfSize - offset, PHOTO_SIZE, PHOTO_SIZE, 8);
+        ctx.fill();
+        ctx.stroke();
     }
+    ctx.restore();
+}
+
+// Number of photos in an event, on the cover's top-right corner
+function drawEventCount(count, x, y) {
+    const badgeX = x + PHOTO_SIZE / 2;
+    const badgeY = y - PHOTO_SIZE / 2;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(237, 152, 80, 0.95)';
+    ctx.beginPath();
+    ctx.arc(badgeX, badgeY, 11, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.font = 'bold 11px Inter, sans-serif';
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(count > 99 ? '99+' : String(count), badgeX, badgeY + 0.5);
+    ctx.restore();
 }
 
 // ==================== Draw Photo on Canvas ====================
@@ -257,13 +930,15 @@ function drawPhoto(photo, x, y, customSize = null) {
     const size = customSize || 60;
     const halfSize = size / 2;
 
-    // Cache loaded image for performance
+    // Cache loaded image for performance; off-screen renders use the original
+    // when preloadPhotoImages loaded it
     if (!photo.cachedImage) {
         photo.cachedImage = new Image();
-        photo.cachedImage.src = photo.imageUrl;
+        photo.cachedImage.src = getThumbnailUrl(photo);
     }
 
-    const img = photo.cachedImage;
+    const original = renderFrame && photo.originalImage;
+    const img = original && original.naturalWidth > 0 ? original : photo.cachedImage;
 
     // Function to draw (called immediately if loaded, or on load)
     const drawImageContent = () => {
@@ -361,6 +1036,25 @@ function drawPhoto(photo, x, y, customSize = null) {
     }
 }
 
+// Wait until every photo image can be drawn synchronously (for off-screen renders).
+// With `original`, full-size images are loaded for renders too large for the
+// thumbnails; free them afterwards with releaseOriginalImages.
+function preloadPhotoImages(photos = state.photos, { original = false } = {}) {
+    return Promise.all(photos.map(photo => {
+        const key = original ? 'originalImage' : 'cachedImage';
+        if (!photo[key]) {
+            photo[key] = new Image();
+            photo[key].src = original ? getOriginalUrl(photo) : getThumbnailUrl(photo);
+        }
+
+        const img = photo[key];
+        if (img.complete && img.naturalWidth > 0) return null;
+        return img.decode().catch(() => {
+            console.warn('Could not load image for export:', photo.name);
+        });
+    }));
+}
+
 // ==================== Draw Photo Label ====================
 function drawPhotoLabel(photo, x, y, photoSize = 60) {
     const halfSize = photoSize / 2;
@@ -389,62 +1083,169 @@ function drawPhotoLabel(photo, x, y, photoSize = 60) {
 }
 
 // ==================== Drawing Mode ====================
+const CONTROL_POINT_RADIUS = 6;
+const CONTROL_POINT_HIT_RADIUS = 10;
+const STROKE_SIMPLIFY_TOLERANCE = 4; // screen pixels
+
 function enableDrawing() {
     canvas.style.cursor = 'crosshair';
 
-    canvas.addEventListener('mousedown', startDrawing);
+    // Strokes start from handleCanvasMouseDown so control points and photos take priority
     canvas.addEventListener('mousemove', draw);
     canvas.addEventListener('mouseup', stopDrawing);
     canvas.addEventListener('mouseleave', stopDrawing);
+    canvas.addEventListener('dblclick', handleControlPointDoubleClick);
 
     // Touch support
     canvas.addEventListener('touchstart', handleTouchStart);
     canvas.addEventListener('touchmove', handleTouchMove);
     canvas.addEventListener('touchend', stopDrawing);
+
+    // Show control point handles
+    renderTimeline();
 }
 
 function disableDrawing() {
     canvas.style.cursor = 'default';
 
-    canvas.removeEventListener('mousedown', startDrawing);
     canvas.removeEventListener('mousemove', draw);
     canvas.removeEventListener('mouseup', stopDrawing);
     canvas.removeEventListener('mouseleave', stopDrawing);
+    canvas.removeEventListener('dblclick', handleControlPointDoubleClick);
 
     canvas.removeEventListener('touchstart', handleTouchStart);
     canvas.removeEventListener('touchmove', handleTouchMove);
     canvas.removeEventListener('touchend', stopDrawing);
+
+    selectedControlPoint = -1;
+    renderTimeline();
 }
 
 function startDrawing(e) {
     isDrawing = true;
-    const rect = canvas.getBoundingClientRect();
-    lastPoint = {
-        x: e.clientX - rect.left,
-        y: e.clientY - rect.top
-    };
-    state.curvePoints.push({ ...lastPoint });
+    selectedControlPoint = -1;
+
+    const point = getCanvasPoint(e);
+    currentStroke = [unprojectPoint(point.x, point.y)];
 }
 
 function draw(e) {
     if (!isDrawing) return;
 
-    const rect = canvas.getBoundingClientRect();
-    const currentPoint = {
-        x: e.clientX - rect.left,
-        y: e.clientY - rect.top
-    };
-
-    state.curvePoints.push({ ...currentPoint });
-    lastPoint = currentPoint;
+    const point = getCanvasPoint(e);
+    currentStroke.push(unprojectPoint(point.x, point.y));
 
     // Render immediately for smooth drawing
     renderTimeline();
 }
 
 function stopDrawing() {
+    if (!isDrawing) return;
+
     isDrawing = false;
-    lastPoint = null;
+    commitStroke();
+}
+
+// Simplify the finished stroke into control points and splice it into the active curve.
+// A single click becomes a single inserted control point.
+function commitStroke() {
+    const controlPoints = simplifyStroke(
+        currentStroke, getTimelineLayout(), STROKE_SIMPLIFY_TOLERANCE / zoomLevel
+    );
+    currentStroke = [];
+
+    const layer = getActiveCurveLayer();
+    changeProperties('곡선 그리기', layer, {
+        points: mergeStrokeIntoCurve(layer.points, controlPoints),
+    });
+}
+
+// ==================== Control Points ====================
+// Only the active layer's control points can be picked up
+function findControlPointAtPosition(x, y) {
+    const layout = getTimelineLayout();
+    const points = getActiveCurveLayer().points;
+
+    for (let i = points.length - 1; i >= 0; i--) {
+        if (!isTimeInLayout(points[i].time, layout)) continue;
+
+        const point = projectPoint(points[i].time, points[i].emotion, layout);
+        if (Math.hypot(x - point.x, y - point.y) <= CONTROL_POINT_HIT_RADIUS) {
+            return i;
+        }
+    }
+
+    return -1;
+}
+
+// Move a control point, keeping it between its neighbours so the curve stays ordered by date
+function moveControlPoint(index, target) {
+    const points = getActiveCurveLayer().points;
+    const layout = getTimelineLayout();
+    const gap = 60 * 1000;
+    const minTime = Math.max(layout.start, index > 0 ? points[index - 1].time + gap : -Infinity);
+    const maxTime = Math.min(layout.end, index < points.length - 1 ? points[index + 1].time - gap : Infinity);
+
+    points[index] = {
+        time: Math.max(minTime, Math.min(maxTime, target.time)),
+        emotion: target.emotion,
+    };
+}
+
+function deleteControlPoint(index) {
+    selectedControlPoint = -1;
+    const layer = getActiveCurveLayer();
+    changeProperties('조절점 삭제', layer, {
+        points: layer.points.filter((_, i) => i !== index),
+    });
+}
+
+function handleControlPointDoubleClick(e) {
+    if (getActiveCurveLayer().mode !== 'manual') return;
+
+    const point = getCanvasPoint(e);
+    const index = findControlPointAtPosition(point.x, point.y);
+    if (index !== -1) {
+        deleteControlPoint(index);
+    }
+}
+
+function drawControlPoints() {
+    const layout = getTimelineLayout();
+    const layer = getActiveCurveLayer();
+    const color = getCurveColor(layer.color, 1);
+
+    layer.points.forEach((controlPoint, index) => {
+        if (!isTimeInLayout(controlPoint.time, layout)) return;
+
+        const { x, y } = projectPoint(controlPoint.time, controlPoint.emotion, layout);
+        const isSelected = index === selectedControlPoint;
+
+        ctx.fillStyle = isSelected ? color : 'rgba(255, 255, 255, 0.95)';
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y, isSelected ? CONTROL_POINT_RADIUS + 2 : CONTROL_POINT_RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+    });
+}
+
+// Raw stroke while the mouse is still down
+function drawStrokePreview() {
+    const layout = getTimelineLayout();
+    const points = currentStroke.map(point => projectPoint(point.time, point.emotion, layout));
+
+    ctx.strokeStyle = getCurveColor(getActiveCurveLayer().color, 0.5);
+    ctx.lineWidth = 3;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.setLineDash([6, 6]);
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    points.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+    ctx.stroke();
+    ctx.setLineDash([]);
 }
 
 function handleTouchStart(e) {
@@ -468,36 +1269,57 @@ function handleTouchMove(e) {
 }
 
 // ==================== Draw Curve ====================
-function drawCurve() {
-    if (state.curvePoints.length < 2) return;
+// Options give each layer its colour, and let the comparison view draw one
+// thinner, coloured curve per year
+function drawCurve(curvePoints, options = {}) {
+    if (curvePoints.length < 2) return;
+
+    const {
+        layout = getTimelineLayout(),
+        color = 'rgba(247, 185, 128, 0.8)',
+        glowColor = 'rgba(237, 152, 80, 0.5)',
+        lineWidth = 4,
+    } = options;
+    const points = curvePoints.map(point => projectPoint(point.time, point.emotion, layout));
+
+    // Hide the parts of the curve outside the selected range
+    ctx.save();
+    ctx.beginPath();
+    if (layout.orientation === 'horizontal') {
+        ctx.rect(layout.axisStart, -canvasHeight * 10, layout.axisEnd - layout.axisStart, canvasHeight * 20);
+    } else {
+        ctx.rect(-canvasWidth * 10, layout.axisStart, canvasWidth * 20, layout.axisEnd - layout.axisStart);
+    }
+    ctx.clip();
 
-    ctx.strokeStyle = 'rgba(247, 185, 128, 0.8)';
-    ctx.lineWidth = 4;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lineWidth;
     ctx.lineCap = 'round';
     ctx.lineJoin = 'round';
 
     // Draw gradient shadow
-    ctx.shadowColor = 'rgba(237, 152, 80, 0.5)';
+    ctx.shadowColor = glowColor;
     ctx.shadowBlur = 20;
 
     ctx.beginPath();
-    ctx.moveTo(state.curvePoints[0].x, state.curvePoints[0].y);
+    ctx.moveTo(points[0].x, points[0].y);
 
     // Use quadratic curves for smoother lines
-    for (let i = 1; i < state.curvePoints.length - 1; i++) {
-        const xc = (state.curvePoints[i].x + state.curvePoints[i + 1].x) / 2;
-        const yc = (state.curvePoints[i].y + state.curvePoints[i + 1].y) / 2;
-        ctx.quadraticCurveTo(state.curvePoints[i].x, state.curvePoints[i].y, xc, yc);
+    for (let i = 1; i < points.length - 1; i++) {
+        const xc = (points[i].x + points[i + 1].x) / 2;
+        const yc = (points[i].y + points[i + 1].y) / 2;
+        ctx.quadraticCurveTo(points[i].x, points[i].y, xc, yc);
     }
 
     // Last segment
-    const lastIdx = state.curvePoints.length - 1;
-    ctx.lineTo(state.curvePoints[lastIdx].x, state.curvePoints[lastIdx].y);
+    const lastIdx = points.length - 1;
+    ctx.lineTo(points[lastIdx].x, points[lastIdx].y);
     ctx.stroke();
 
     // Reset shadow
     ctx.shadowColor = 'transparent';
     ctx.shadowBlur = 0;
+    ctx.restore();
 }
 
 // ==================== Utility Functions ====================
@@ -558,13 +1380,15 @@ function drawNoDateZone(x, y, width, height, photos) {
         const photoX = x + gap + col * (photoSize + gap) + photoSize / 2;
         const photoY = y + 50 + row * (photoSize + gap) + photoSize / 2;
 
-        // Initialize position if not set
-        if (!photo.timelineX || !photo.timelineY) {
-            photo.timelineX = photoX;
-            photo.timelineY = photoY;
-        }
+        photo.timelineX = photoX;
+        photo.timelineY = photoY;
 
+        ctx.save();
+        if (isEventDimmed([photo])) {
+            ctx.globalAlpha = DIMMED_PHOTO_ALPHA;
+        }
         drawPhoto(photo, photo.timelineX, photo.timelineY, photoSize);
+        ctx.restore();
     });
 }
 
@@ -592,28 +1416,20 @@ function handleCanvasMouseMove(e) {
     mouseX = (mouseX - panX) / zoomLevel;
     mouseY = (mouseY - panY) / zoomLevel;
 
-    // Handle photo dragging with axis constraint
-    if (isDraggingPhoto && draggedPhoto) {
-        // Store original position if not already stored
-        if (!draggedPhoto.originalX) {
-            draggedPhoto.originalX = draggedPhoto.timelineX;
-        }
-        if (!draggedPhoto.originalY) {
-            draggedPhoto.originalY = draggedPhoto.timelineY;
-        }
+    // Handle control point dragging
+    if (draggedControlPoint !== -1) {
+        moveControlPoint(draggedControlPoint, unprojectPoint(mouseX, mouseY));
+        controlPointMoved = true;
+        renderTimeline();
+        return;
+    }
 
-        // Constrain movement perpendicular to timeline axis
-        if (state.orientation === 'horizontal') {
-            // Horizontal timeline: allow vertical movement only
-            draggedPhoto.timelineX = draggedPhoto.originalX || draggedPhoto.timelineX;
-            draggedPhoto.timelineY = mouseY;
-        } else {
-            // Vertical timeline: allow horizontal movement only
-            draggedPhoto.timelineX = mouseX;
-            draggedPhoto.timelineY = draggedPhoto.originalY || draggedPhoto.timelineY;
+    // Handle photo dragging: the date stays fixed, only the emotion changes
+    if (isDraggingPhoto && draggedPhoto) {
+        if (draggedPhoto.hasValidDate !== false) {
+            dragEventEmotion(unprojectPoint(mouseX, mouseY).emotion);
+            renderTimeline();
         }
-
-        renderTimeline();
         return;
     }
 
@@ -628,8 +1444,13 @@ function handleCanvasMouseMove(e) {
     // Update cursor
     if (spacePressed) {
         canvas.style.cursor = isPanning ? 'grabbing' : 'grab';
+    } else if (state.isDrawingMode && getActiveCurveLayer().mode === 'manual' &&
+        findControlPointAtPosition(mouseX, mouseY) !== -1) {
+        canvas.style.cursor = 'move';
+    } else if (hoveredPhoto) {
+        canvas.style.cursor = 'pointer';
     } else {
-        canvas.style.cursor = hoveredPhoto ? 'pointer' : 'default';
+        canvas.style.cursor = state.isDrawingMode ? 'crosshair' : 'default';
     }
 }
 
@@ -653,6 +1474,20 @@ function handleCanvasMouseDown(e) {
     mouseX = (mouseX - panX) / zoomLevel;
     mouseY = (mouseY - panY) / zoomLevel;
 
+    // In drawing mode, control points take priority over photos
+    if (state.isDrawingMode && getActiveCurveLayer().mode === 'manual') {
+        const index = findControlPointAtPosition(mouseX, mouseY);
+        if (index !== -1) {
+            draggedControlPoint = index;
+            selectedControlPoint = index;
+            controlPointMoved = false;
+            curveBeforeDrag = getActiveCurveLayer().points.map(point => ({ ...point }));
+            canvas.style.cursor = 'move';
+            renderTimeline();
+            return;
+        }
+    }
+
     const photo = findPhotoAtPosition(mouseX, mouseY);
     if (photo) {
         // Check if this is a click (not a drag start)
@@ -662,6 +1497,7 @@ function handleCanvasMouseDown(e) {
 
         isDraggingPhoto = true;
         draggedPhoto = photo;
+        dragStartEmotions = new Map(getEventPhotos(photo).map(eventPhoto => [eventPhoto, eventPhoto.emotion || 0]));
         canvas.style.cursor = 'grabbing';
     } else if (state.isDrawingMode) {
         // No photo clicked, start drawing if in draw mode
@@ -669,7 +1505,24 @@ function handleCanvasMouseDown(e) {
     }
 }
 
+// Ends on mouseup, or when the mouse leaves the canvas (its mouseup would be missed)
+function endControlPointDrag() {
+    if (draggedControlPoint === -1) return;
+
+    draggedControlPoint = -1;
+    if (controlPointMoved) {
+        const layer = getActiveCurveLayer();
+        recordCommand(createPropertyCommand('조절점 이동', layer,
+            { points: curveBeforeDrag },
+            { points: layer.points.map(point => ({ ...point })) }
+        ));
+    }
+    curveBeforeDrag = null;
+}
+
 function handleCanvasMouseUp(e) {
+    endControlPointDrag();
+
     // End panning
     if (isPanning) {
         isPanning = false;
@@ -693,65 +1546,72 @@ function handleCanvasMouseUp(e) {
 
         // If it was a click (not a drag), show modal
         if (timeDiff < 300 && distance < 5 && draggedPhoto) {
-            showPhotoModal(draggedPhoto.id);
+            showPhotoModal(draggedPhoto.id, getEventPhotos(draggedPhoto));
+        } else if (draggedPhoto) {
+            recordEmotionDrag();
         }
 
         isDraggingPhoto = false;
-
-        // Clear original position tracking
-        if (draggedPhoto) {
-            delete draggedPhoto.originalX;
-            delete draggedPhoto.originalY;
-        }
-
         draggedPhoto = null;
         canvas.style.cursor = hoveredPhoto ? 'pointer' : 'default';
     }
 }
 
+// Move every photo of the dragged event by the same amount, so their mean
+// lands on `emotion` and the differences between them are kept
+function dragEventEmotion(emotion) {
+    const starts = [...dragStartEmotions.values()];
+    const delta = emotion - starts.reduce((sum, start) => sum + start, 0) / starts.length;
+    dragStartEmotions.forEach((start, photo) => {
+        photo.emotion = clampEmotion(start + delta);
+    });
+}
+
+function recordEmotionDrag() {
+    const changed = [...dragStartEmotions].filter(([photo, start]) => (photo.emotion || 0) !== start);
+    if (changed.length === 0) return;
+
+    recordCommand(createBatchCommand('감정 레벨 변경', changed.map(([photo, start]) =>
+        createPropertyCommand('감정 레벨 변경', photo, { emotion: start }, { emotion: photo.emotion })
+    )));
+}
+
 function handleCanvasMouseLeave() {
+    endControlPointDrag();
+
     if (hoveredPhoto) {
         hoveredPhoto = null;
         renderTimeline();
     }
 }
 
+// The photo whose centre is nearest the point, so a photo drawn on top of a
+// neighbour is not shadowed by it
 function findPhotoAtPosition(x, y) {
-    const photoSize = 60;
-    const halfSize = photoSize / 2;
+    const halfSize = PHOTO_SIZE / 2;
+    let found = null;
+    let foundDistance = Infinity;
 
     for (const photo of state.photos) {
-        if (!photo.timelineX || !photo.timelineY) continue;
+        if (photo.timelineX === undefined || photo.timelineY === undefined) continue;
 
         const dx = x - photo.timelineX;
         const dy = y - photo.timelineY;
+        const distance = Math.hypot(dx, dy);
 
-        if (Math.abs(dx) <= halfSize && Math.abs(dy) <= halfSize) {
-            return photo;
+        if (Math.abs(dx) <= halfSize && Math.abs(dy) <= halfSize && distance < foundDistance) {
+            found = photo;
+            foundDistance = distance;
         }
     }
 
-    return null;
+    return found;
 }
 
 // ==================== Emotion Level System ====================
 function calculateEmotionLevel(photo) {
-    if (!photo.initialTimelineY) {
-        // Save initial position when first dragged
-        photo.initialTimelineY = state.orientation === 'horizontal' ? canvasHeight / 2 : photo.timelineY;
-    }
-
-    const centerY = state.orientation === 'horizontal' ? canvasHeight / 2 : photo.initialTimelineY;
-    const maxDistance = canvasHeight / 4; // 1/4 of canvas height = level 10
-
-    // Calculate distance from center
-    const distance = centerY - photo.timelineY;
-
-    // Convert to -10 to +10 scale
-    let level = Math.round((distance / maxDistance) * 10);
-    level = Math.max(-10, Math.min(10, level)); // Clamp to -10 ~ +10
-
-    return level;
+    // Emotion is stored in timeline space; round it to the -10 ~ +10 scale
+    return Math.round(clampEmotion(photo.emotion || 0));
 }
 
 function drawEmotionLevel(photo, x, y) {
@@ -785,13 +1645,15 @@ function drawEmotionLevel(photo, x, y) {
 function drawEmotionScaleReference() {
     if (state.orientation !== 'horizontal') return;
 
-    const padding = 30;
-    const scaleX = canvasWidth - 80;
-    const centerY = canvasHeight / 2;
-    const lineHeight = canvasHeight / 4;
+    // Follow the emotion axis through the current zoom/pan
+    const palette = getTimelinePalette();
+    const layout = getTimelineLayout();
+    const scaleX = getFrameSize().width - 80;
+    const centerY = panY + layout.axisCenter * zoomLevel;
+    const lineHeight = layout.emotionRange * zoomLevel;
 
     // Draw scale line
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.strokeStyle = palette.scaleLine;
     ctx.lineWidth = 2;
     ctx.beginPath();
     ctx.moveTo(scaleX, centerY - lineHeight);
@@ -800,7 +1662,6 @@ function drawEmotionScaleReference() {
 
     // Draw markers and labels
     ctx.font = '11px Inter, sans-serif';
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
     ctx.textAlign = 'left';
 
     // +10
@@ -808,40 +1669,42 @@ function drawEmotionScaleReference() {
     ctx.moveTo(scaleX - 5, centerY - lineHeight);
     ctx.lineTo(scaleX + 5, centerY - lineHeight);
     ctx.stroke();
-    ctx.fillStyle = 'rgba(243, 198, 35, 0.9)';
+    ctx.fillStyle = palette.scalePositive;
     ctx.fillText('+10', scaleX + 10, centerY - lineHeight + 4);
 
     // 0
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.strokeStyle = palette.scaleZero;
     ctx.beginPath();
     ctx.moveTo(scaleX - 8, centerY);
     ctx.lineTo(scaleX + 8, centerY);
     ctx.stroke();
-    ctx.fillStyle = 'rgba(16, 55, 92, 0.7)';
+    ctx.fillStyle = palette.scaleNeutral;
     ctx.fillText('0', scaleX + 10, centerY + 4);
 
     // -10
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.strokeStyle = palette.scaleLine;
     ctx.beginPath();
     ctx.moveTo(scaleX - 5, centerY + lineHeight);
     ctx.lineTo(scaleX + 5, centerY + lineHeight);
     ctx.stroke();
-    ctx.fillStyle = 'rgba(16, 55, 92, 0.9)';
+    ctx.fillStyle = palette.scaleNegative;
     ctx.fillText('-10', scaleX + 10, centerY + lineHeight + 4);
 }
 
 // ==================== Draw Year Label (Fixed Position) ====================
 function drawYearLabel() {
+    const label = isCompareMode() ? getCompareLabel() : getRangeLabel();
+
     ctx.save();
     ctx.font = 'bold 28px Inter, sans-serif';
-    ctx.fillStyle = 'rgba(230, 230, 230, 0.9)';
+    ctx.fillStyle = getTimelinePalette().title;
 
     if (state.orientation === 'horizontal') {
         ctx.textAlign = 'left';
-        ctx.fillText(state.selectedYear, 30, 45);
+        ctx.fillText(label, 30, 45);
     } else {
         ctx.textAlign = 'center';
-        ctx.fillText(state.selectedYear, canvasWidth / 2, 45);
+        ctx.fillText(label, getFrameSize().width / 2, 45);
     }
 
     ctx.restore();
@@ -878,7 +1741,12 @@ function handleZoom(e) {
     panY = mouseY - zoomPointY * newZoom;
     zoomLevel = newZoom;
 
-    // Update slider value
+    syncZoomControls();
+    renderTimeline();
+}
+
+// Show zoomLevel on the zoom slider
+function syncZoomControls() {
     const zoomSlider = document.getElementById('zoomSlider');
     const zoomValue = document.getElementById('zoomValue');
     if (zoomSlider && zoomValue) {
@@ -886,33 +1754,119 @@ function handleZoom(e) {
         zoomSlider.value = zoomPercent;
         zoomValue.textContent = `${zoomPercent}%`;
     }
+}
+
+// ==================== View Animation ====================
+let viewAnimationFrame = null;
+
+// Where a photo was drawn in the last render (timeline space, before zoom/pan):
+// its own position, or its event's cover's. Null when it wasn't drawn.
+function findPhotoPlacement(photo) {
+    if (photo.timelineX !== undefined) {
+        return { cover: photo, x: photo.timelineX, y: photo.timelineY };
+    }
+    for (const [cover, photos] of timelineEvents) {
+        if (photos.includes(photo) && cover.timelineX !== undefined) {
+            return { cover, x: cover.timelineX, y: cover.timelineY };
+        }
+    }
+    return null;
+}
+
+// Glide the view to put timeline point (x, y) in the middle of the canvas at
+// `zoom`. The centre moves in timeline space, so the target stays in sight
+// while the zoom changes. Resolves when the view arrives.
+function animateViewTo(x, y, zoom, duration = 600) {
+    cancelAnimationFrame(viewAnimationFrame);
 
+    const from = {
+        x: (canvasWidth / 2 - panX) / zoomLevel,
+        y: (canvasHeight / 2 - panY) / zoomLevel,
+        zoom: zoomLevel,
+    };
+    const startTime = performance.now();
+
+    return new Promise(resolve => {
+        const step = (now) => {
+            const progress = Math.min(1, (now - startTime) / duration);
+            const eased = 1 - (1 - progress) ** 3;
+
+            zoomLevel = from.zoom + (zoom - from.zoom) * eased;
+            panX = canvasWidth / 2 - (from.x + (x - from.x) * eased) * zoomLevel;
+            panY = canvasHeight / 2 - (from.y + (y - from.y) * eased) * zoomLevel;
+            syncZoomControls();
+            renderTimeline();
+
+            if (progress < 1) {
+                viewAnimationFrame = requestAnimationFrame(step);
+            } else {
+                viewAnimationFrame = null;
+                resolve();
+            }
+        };
+        viewAnimationFrame = requestAnimationFrame(step);
+    });
+}
+
+// Times at the two ends of the on-screen stretch of the axis
+function getViewportTimeRange(layout = getTimelineLayout()) {
+    const isHorizontal = layout.orientation === 'horizontal';
+    const pan = isHorizontal ? panX : panY;
+    const size = isHorizontal ? canvasWidth : canvasHeight;
+    const toTime = along => layout.start +
+        (along - layout.axisStart) / (layout.axisEnd - layout.axisStart) * (layout.end - layout.start);
+
+    return {
+        start: toTime(-pan / zoomLevel),
+        end: toTime((size - pan) / zoomLevel),
+    };
+}
+
+// Pan so `time` sits in the middle of the axis, keeping the zoom
+function panToTime(time, layout = getTimelineLayout()) {
+    const point = projectPoint(time, 0, layout);
+    if (layout.orientation === 'horizontal') {
+        panX = canvasWidth / 2 - point.x * zoomLevel;
+    } else {
+        panY = canvasHeight / 2 - point.y * zoomLevel;
+    }
     renderTimeline();
 }
 
 let spacePressed = false;
 
 function handleKeyDown(e) {
+    // Typing in a text field (search, labels) is not a shortcut
+    if (e.target.closest && e.target.closest('input, textarea, select')) return;
+
     if (e.code === 'Space' && !spacePressed) {
         spacePressed = true;
         canvas.style.cursor = 'grab';
         e.preventDefault();
     }
 
-    // Arrow key panning
+    // Arrow key panning; in the photo modal the arrows page through the event instead
     const panSpeed = 20;
-    if (e.code === 'ArrowLeft') {
-        panX += panSpeed;
-        renderTimeline();
-    } else if (e.code === 'ArrowRight') {
-        panX -= panSpeed;
-        renderTimeline();
-    } else if (e.code === 'ArrowUp') {
-        panY += panSpeed;
-        renderTimeline();
-    } else if (e.code === 'ArrowDown') {
-        panY -= panSpeed;
-        renderTimeline();
+    if (!elements.photoModal.classList.contains('active')) {
+        if (e.code === 'ArrowLeft') {
+            panX += panSpeed;
+            renderTimeline();
+        } else if (e.code === 'ArrowRight') {
+            panX -= panSpeed;
+            renderTimeline();
+        } else if (e.code === 'ArrowUp') {
+            panY += panSpeed;
+            renderTimeline();
+        } else if (e.code === 'ArrowDown') {
+            panY -= panSpeed;
+            renderTimeline();
+        }
+    }
+
+    // Delete the selected control point
+    if ((e.code === 'Delete' || e.code === 'Backspace') && state.isDrawingMode && selectedControlPoint !== -1) {
+        e.preventDefault();
+        deleteControlPoint(selectedControlPoint);
     }
 
     // Reset zoom